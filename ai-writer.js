@@ -12,646 +12,77 @@
  *
  * The tool targets "hallucinations of competence" - the stylistic tics
  * that make AI writing sound confident but hollow.
+ *
+ * This file is the command-line wrapper; the rules, linter and pipeline
+ * live in index.js and the language server in lsp.js.
  */
 
 require("dotenv").config({ path: require("path").join(__dirname, "../.env") });
 
+const { spawnSync } = require("child_process");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
-const OpenAI = require("openai");
-
-// ---------- Config ----------
-const DEFAULT_MODEL = process.env.AI_WRITER_MODEL || "gpt-4o";
-const MAX_LOOPS_DEFAULT = 3;
-const TEMPERATURE = 0.4;
-
-// =============================================================================
-// HUMANIZER RULESET
-// =============================================================================
-
-const RULES_SPEC = {
-  // -------------------------------------------------------------------------
-  // 1. TONE AND CONTENT: Concrete over Generic
-  // -------------------------------------------------------------------------
-  tone: {
-    name: "Tone and Content",
-    rules: [
-      {
-        id: "regression_to_mean",
-        description: "Eliminate smoothing specific details into generic praise",
-        bad: "A revolutionary titan of industry",
-        good: "Inventor of a train-coupling device",
-      },
-      {
-        id: "significance_inflation",
-        description: "Stop recasting ordinary facts as pivotal or grand",
-        bad: "This pivotal shift transformed the landscape",
-        good: "Sales increased 12% that quarter",
-      },
-      {
-        id: "puffery",
-        description: "Remove peacock words that add no information",
-        banned: [
-          "groundbreaking", "stunning", "breathtaking", "nestled", "visionary",
-          "renowned", "legendary", "iconic", "game-changing", "revolutionary",
-          "transformative", "cutting-edge", "world-class", "best-in-class",
-          "industry-leading", "unparalleled", "unprecedented", "remarkable",
-        ],
-      },
-      {
-        id: "coverage_chest_thumping",
-        description: "Don't list media outlets as proof without explaining what was said",
-        pattern: /featured in .*(wired|vogue|forbes|techcrunch|nyt|wsj)/i,
-      },
-      {
-        id: "superficial_analysis",
-        description: "Remove vague gerunds used to pad word count",
-        banned_gerunds: [
-          "underscoring", "highlighting", "reflecting", "indicating",
-          "showcasing", "demonstrating", "emphasizing", "illustrating",
-          "signaling", "revealing", "suggesting", "pointing to",
-        ],
-      },
-    ],
-  },
-
-  // -------------------------------------------------------------------------
-  // 2. VOCABULARY CONSTRAINTS (The Banned List)
-  // -------------------------------------------------------------------------
-  vocabulary: {
-    name: "Vocabulary Constraints",
-    rules: [
-      {
-        id: "banned_verbs_adjectives",
-        description: "Statistical tells of AI writing",
-        banned: [
-          "delve", "delves", "delving",
-          "tapestry", "tapestries",
-          "interplay",
-          "pivotal",
-          "underscores", "underscore", "underscored",
-          "highlights", "highlight", "highlighted",
-          "garnered", "garner", "garnering",
-          "enduring",
-          "align", "aligns", "aligned", "aligning",
-          "showcase", "showcases", "showcased", "showcasing",
-          "intricate", "intricately",
-          "nuanced", "nuance",
-          "multifaceted",
-          "comprehensive",
-          "robust",
-          "leverage", "leverages", "leveraged", "leveraging",
-          "utilize", "utilizes", "utilized", "utilizing",
-          "facilitate", "facilitates", "facilitated",
-          "seamless", "seamlessly",
-          "holistic",
-          "synergy", "synergies",
-          "paradigm",
-          "ecosystem",
-          "landscape",
-          "realm",
-          "sphere",
-          "arena",
-          "space", // when used as "in the X space"
-        ],
-      },
-      {
-        id: "banned_transitions",
-        description: "Formulaic transition phrases",
-        banned: [
-          "it is important to note",
-          "it's important to note",
-          "it is worth noting",
-          "it's worth noting",
-          "in summary",
-          "in conclusion",
-          "to summarize",
-          "moreover",
-          "furthermore",
-          "additionally",
-          "in today's world",
-          "in this day and age",
-          "at the end of the day",
-          "when it comes to",
-          "needless to say",
-          "it goes without saying",
-          "as we all know",
-          "interestingly",
-          "notably",
-          "importantly",
-          "crucially",
-          "significantly",
-        ],
-      },
-      {
-        id: "negative_parallelism",
-        description: "Not only X, but also Y patterns",
-        patterns: [
-          /not only\s+.{1,80}\s+but\s+(also\s+)?/gi,
-          /it's not just\s+.{1,60}\s+it's/gi,
-          /it is not just\s+.{1,60}\s+it is/gi,
-        ],
-      },
-      {
-        id: "false_scale",
-        description: "From X to Y without a coherent scale",
-        pattern: /from\s+\w+\s+to\s+\w+/gi,
-        note: "Flag for review unless literal scale",
-      },
-    ],
-  },
-
-  // -------------------------------------------------------------------------
-  // 3. STRUCTURE AND FLOW
-  // -------------------------------------------------------------------------
-  structure: {
-    name: "Structure and Flow",
-    rules: [
-      {
-        id: "formulaic_endings",
-        description: "Humans rarely summarize short text at the end",
-        patterns: [
-          /^in (summary|conclusion),?\s/im,
-          /^to (sum up|summarize|conclude),?\s/im,
-          /^(overall|ultimately|finally),?\s.{0,30}(this|these|the)\s/im,
-        ],
-      },
-      {
-        id: "future_boilerplate",
-        description: "Vague future outlook without specific plans",
-        patterns: [
-          /despite.{0,30}challenges?.{0,30}future.{0,30}(bright|promising)/i,
-          /future initiatives will/i,
-          /going forward,?\s/i,
-          /moving forward,?\s/i,
-          /as we move into/i,
-          /poised (to|for)/i,
-        ],
-      },
-      {
-        id: "rule_of_three",
-        description: "Listing exactly three items to sound comprehensive",
-        pattern: /(\w+),\s+(\w+),?\s+and\s+(\w+)/g,
-        note: "Flag suspicious triads for review",
-        severity: "low",
-      },
-      {
-        id: "elegant_variation",
-        description: "Complex synonyms to avoid word repetition",
-        note: "Prefer simple and clear over varied vocabulary",
-      },
-    ],
-  },
-
-  // -------------------------------------------------------------------------
-  // 4. FORMATTING AND MECHANICS
-  // -------------------------------------------------------------------------
-  formatting: {
-    name: "Formatting and Mechanics",
-    rules: [
-      {
-        id: "em_dash_overuse",
-        description: "Use commas, periods, or parentheses instead",
-        pattern: /—/g,
-        replacement: ", ",
-      },
-      {
-        id: "quote_consistency",
-        description: "Don't mix curly and straight quotes",
-        patterns: [/[""]/g, /['']/g],
-      },
-      {
-        id: "title_case_headings",
-        description: "Use sentence case, not Title Case",
-        note: "History of the region, not History of the Region",
-      },
-      {
-        id: "bold_emphasis",
-        description: "Don't use bold for emphasis in paragraphs",
-        pattern: /\*\*[^*]+\*\*/g,
-      },
-      {
-        id: "inline_header_bullets",
-        description: "No **Header:** Value patterns",
-        pattern: /\*\*\w+:\*\*\s/g,
-      },
-      {
-        id: "emoji_in_headings",
-        description: "Remove emojis from headings and lists",
-        pattern: /[\u{1F300}-\u{1F9FF}]/gu,
-      },
-      {
-        id: "chatbot_leakage",
-        description: "Remove assistant artifacts",
-        patterns: [
-          /i hope this helps/i,
-          /as of my last update/i,
-          /as an ai/i,
-          /i don't have access to/i,
-          /i cannot browse/i,
-          /let me know if/i,
-          /feel free to ask/i,
-          /happy to help/i,
-        ],
-      },
-      {
-        id: "vague_citations",
-        description: "Flag unverifiable sources",
-        patterns: [
-          /observers say/i,
-          /industry reports/i,
-          /experts say/i,
-          /studies show/i,
-          /research indicates/i,
-          /according to sources/i,
-          /many believe/i,
-          /some argue/i,
-        ],
-      },
-      {
-        id: "date_cutoff",
-        description: "Remove AI date disclaimers",
-        pattern: /as of \w+ \d{4}/i,
-      },
-    ],
-  },
-};
-
-// =============================================================================
-// LINTER IMPLEMENTATION
-// =============================================================================
-
-function buildRegexRules() {
-  const rules = [];
-
-  // Tone rules
-  const pufferyWords = RULES_SPEC.tone.rules.find((r) => r.id === "puffery").banned;
-  rules.push({
-    id: "puffery",
-    category: "tone",
-    pattern: new RegExp(`\\b(${pufferyWords.join("|")})\\b`, "gi"),
-    description: "Peacock word (adds no information)",
-    severity: "high",
-  });
-
-  const gerunds = RULES_SPEC.tone.rules.find((r) => r.id === "superficial_analysis").banned_gerunds;
-  rules.push({
-    id: "superficial_gerund",
-    category: "tone",
-    pattern: new RegExp(`,\\s*(${gerunds.join("|")})\\b`, "gi"),
-    description: "Vague gerund padding",
-    severity: "high",
-  });
-
-  rules.push({
-    id: "coverage_chest_thumping",
-    category: "tone",
-    pattern: /featured in\s+.{0,50}(wired|vogue|forbes|techcrunch|new york times|wsj|wall street journal)/gi,
-    description: "Media name-dropping without context",
-    severity: "medium",
-  });
-
-  // Vocabulary rules
-  const bannedWords = RULES_SPEC.vocabulary.rules.find((r) => r.id === "banned_verbs_adjectives").banned;
-  rules.push({
-    id: "banned_vocabulary",
-    category: "vocabulary",
-    pattern: new RegExp(`\\b(${bannedWords.join("|")})\\b`, "gi"),
-    description: "AI vocabulary tell",
-    severity: "high",
-  });
-
-  const bannedTransitions = RULES_SPEC.vocabulary.rules.find((r) => r.id === "banned_transitions").banned;
-  rules.push({
-    id: "banned_transition",
-    category: "vocabulary",
-    pattern: new RegExp(`\\b(${bannedTransitions.join("|")})`, "gi"),
-    description: "Formulaic transition",
-    severity: "medium",
-  });
-
-  rules.push({
-    id: "not_only_but",
-    category: "vocabulary",
-    pattern: /not only\s+.{1,80}\s+but\s+(also\s+)?/gi,
-    description: "Negative parallelism pattern",
-    severity: "high",
-  });
-
-  rules.push({
-    id: "its_not_just",
-    category: "vocabulary",
-    pattern: /it['']?s not just\s+.{1,60}\s+it['']?s/gi,
-    description: "It's not just... it's pattern",
-    severity: "high",
-  });
-
-  // Structure rules
-  rules.push({
-    id: "formulaic_ending",
-    category: "structure",
-    pattern: /^(in (summary|conclusion)|to (sum up|summarize|conclude)|overall|ultimately),?\s/gim,
-    description: "Formulaic ending",
-    severity: "high",
-  });
-
-  rules.push({
-    id: "future_boilerplate",
-    category: "structure",
-    pattern: /(despite.{0,30}challenges?.{0,30}future|future initiatives will|going forward|moving forward|poised (to|for))/gi,
-    description: "Future outlook boilerplate",
-    severity: "medium",
-  });
-
-  // Formatting rules
-  rules.push({
-    id: "em_dash",
-    category: "formatting",
-    pattern: /—/g,
-    description: "Em dash (use comma or period)",
-    severity: "medium",
-  });
-
-  rules.push({
-    id: "chatbot_leakage",
-    category: "formatting",
-    pattern: /(i hope this helps|as of my last update|as an ai|let me know if|feel free to ask|happy to help)/gi,
-    description: "Chatbot leakage",
-    severity: "critical",
-  });
-
-  rules.push({
-    id: "vague_citation",
-    category: "formatting",
-    pattern: /(observers say|industry reports|experts say|studies show|research indicates|according to sources|many believe|some argue)/gi,
-    description: "Vague/unverifiable citation",
-    severity: "medium",
-  });
-
-  rules.push({
-    id: "bold_emphasis",
-    category: "formatting",
-    pattern: /\*\*[^*]+\*\*/g,
-    description: "Bold emphasis in paragraph",
-    severity: "low",
-  });
-
-  rules.push({
-    id: "emoji",
-    category: "formatting",
-    pattern: /[\u{1F300}-\u{1F9FF}\u{2600}-\u{26FF}\u{2700}-\u{27BF}]/gu,
-    description: "Emoji in text",
-    severity: "low",
-  });
-
-  return rules;
-}
-
-const LINT_RULES = buildRegexRules();
-
-function lint(text) {
-  const hits = [];
-  const lines = text.split(/\r?\n/);
-
-  lines.forEach((line, lineIdx) => {
-    LINT_RULES.forEach((rule) => {
-      rule.pattern.lastIndex = 0;
-      let match;
-      while ((match = rule.pattern.exec(line)) !== null) {
-        const start = Math.max(0, match.index - 25);
-        const end = Math.min(line.length, match.index + match[0].length + 25);
-        hits.push({
-          rule: rule.id,
-          category: rule.category,
-          description: rule.description,
-          severity: rule.severity,
-          line: lineIdx + 1,
-          column: match.index + 1,
-          match: match[0],
-          excerpt: line.slice(start, end),
-        });
-        if (!match[0]) break;
-      }
-    });
-  });
-
-  // Calculate score with severity weighting
-  const weights = { critical: 20, high: 8, medium: 4, low: 2 };
-  let penalty = 0;
-  hits.forEach((h) => {
-    penalty += weights[h.severity] || 4;
-  });
-  const score = Math.max(0, 100 - Math.min(98, penalty));
-
-  return { score, hits };
-}
-
-// =============================================================================
-// PROMPTS
-// =============================================================================
-
-function getSystemPrompt() {
-  return `You are an expert editor specializing in humanizing AI-generated text. Your goal is to eliminate "hallucinations of competence" - the stylistic tics that make AI writing sound confident but hollow.
-
-CORE PRINCIPLE: Move text from generic, smooth, promotional fluff toward concrete, specific, and verifiable human writing.
-
-## 1. TONE AND CONTENT: Concrete over Generic
-
-- ELIMINATE "regression to the mean": Don't smooth specific details into generic praise.
-  BAD: "A revolutionary titan of industry"
-  GOOD: "Inventor of a train-coupling device"
-
-- REMOVE significance inflation: Stop recasting ordinary facts as pivotal or grand.
-  BAD: "This pivotal shift transformed the landscape"
-  GOOD: "Sales increased 12% that quarter"
-
-- KILL puffery/peacock words: groundbreaking, stunning, breathtaking, nestled, visionary, renowned, legendary, iconic, game-changing, revolutionary, transformative, cutting-edge, world-class, unprecedented
-
-- NO coverage chest-thumping: Don't list "Featured in Wired, Forbes..." without explaining what was said
-
-- FIX superficial analysis: Remove padding gerunds (underscoring, highlighting, reflecting, indicating, showcasing) unless they connect two distinct concepts
-
-## 2. VOCABULARY CONSTRAINTS (Banned List)
-
-BANNED VERBS/ADJECTIVES: delve, tapestry, interplay, pivotal, underscores, highlights, garnered, enduring, align/aligns, showcase, intricate, nuanced, multifaceted, comprehensive, robust, leverage, utilize, facilitate, seamless, holistic, synergy, paradigm, ecosystem, landscape, realm, sphere, arena
-
-BANNED TRANSITIONS: "It is important to note", "In summary", "In conclusion", "Moreover", "Furthermore", "Additionally", "In today's world", "At the end of the day", "When it comes to", "Interestingly", "Notably", "Importantly"
-
-BANNED PATTERNS:
-- "Not only X, but also Y" (negative parallelism)
-- "It's not just... it's..."
-- "From X to Y" unless literal coherent scale
-
-## 3. STRUCTURE AND FLOW
-
-- DELETE formulaic endings: No "In summary" or "Conclusion" paragraphs. Humans rarely summarize short text.
-
-- CUT future boilerplate: Remove "Despite challenges, the future looks bright" or "Future initiatives will address" unless citing a specific plan.
-
-- AVOID rule of three: Don't list exactly three items to sound comprehensive.
-
-- PREFER simple words: Don't use complex synonyms just to avoid repetition.
-
-## 4. FORMATTING AND MECHANICS
-
-- DRASTICALLY reduce em-dashes (—). Use commas, periods, or parentheses.
-- Use sentence case for headings, not Title Case
-- No bold for emphasis within paragraphs
-- No emojis in headings or professional text
-- Remove chatbot artifacts ("I hope this helps", "As of my last update", "Feel free to ask")
-- Flag or remove vague citations ("Observers say", "Studies show", "Experts believe")
-
-## OUTPUT RULES
-
-Return ONLY the rewritten text. No meta-commentary. No explanations of changes. No "Here is the revised version" preamble. Just the clean, humanized text.`;
-}
-
-function getDraftPrompt(task) {
-  return `Write the following, applying all humanization rules from your instructions:
-
-TASK: ${task}
-
-Remember:
-- Concrete details over generic praise
-- No banned vocabulary or patterns
-- Short, direct sentences
-- No formulaic structure
-- Sound like a thoughtful human, not a press release`;
-}
-
-function getRewritePrompt(text) {
-  return `Rewrite the following text to eliminate all AI patterns. Apply every rule from your instructions rigorously.
-
-INPUT TEXT:
-${text}
-
-Return only the humanized version. No commentary.`;
-}
-
-function getRepairPrompt(text, issues) {
-  const issueList = issues
-    .slice(0, 10)
-    .map((i) => `- Line ${i.line}: "${i.match}" (${i.description})`)
-    .join("\n");
-
-  return `The following text still has AI patterns. Fix these specific issues:
-
-${issueList}
-
-TEXT TO REPAIR:
-${text}
-
-Return only the fixed text. No commentary.`;
-}
-
-// =============================================================================
-// AI CLIENT
-// =============================================================================
-
-let _client = null;
-
-function getClient() {
-  if (!_client) {
-    if (!process.env.OPENAI_API_KEY) {
-      console.error(c("ERROR: OPENAI_API_KEY is not set.", "red"));
-      process.exit(1);
-    }
-    _client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  }
-  return _client;
-}
-
-async function chat(messages, model = DEFAULT_MODEL) {
-  const client = getClient();
-  try {
-    const resp = await client.chat.completions.create({
-      model,
-      temperature: TEMPERATURE,
-      messages,
-    });
-    return resp.choices[0]?.message?.content?.trim() ?? "";
-  } catch (error) {
-    if (error.status === 429) {
-      console.error(c("Rate limited. Waiting 5s...", "yellow"));
-      await new Promise((r) => setTimeout(r, 5000));
-      return chat(messages, model);
-    }
-    throw error;
-  }
-}
-
-// =============================================================================
-// PIPELINE
-// =============================================================================
-
-async function generateText(task, options = {}) {
-  const { maxLoops = MAX_LOOPS_DEFAULT, model = DEFAULT_MODEL, verbose = false } = options;
-
-  console.log(c(`\nGenerating with ${model}`, "cyan"));
-  console.log(c("Phase 1: Initial draft...", "dim"));
-
-  let text = await chat(
-    [
-      { role: "system", content: getSystemPrompt() },
-      { role: "user", content: getDraftPrompt(task) },
-    ],
-    model
-  );
-
-  return runRepairLoop(text, { maxLoops, model, verbose });
-}
-
-async function rewriteText(inputText, options = {}) {
-  const { maxLoops = MAX_LOOPS_DEFAULT, model = DEFAULT_MODEL, verbose = false } = options;
-
-  console.log(c(`\nRewriting with ${model}`, "cyan"));
-  console.log(c("Phase 1: Initial rewrite...", "dim"));
-
-  let text = await chat(
-    [
-      { role: "system", content: getSystemPrompt() },
-      { role: "user", content: getRewritePrompt(inputText) },
-    ],
-    model
-  );
-
-  return runRepairLoop(text, { maxLoops, model, verbose });
-}
-
-async function runRepairLoop(text, options) {
-  const { maxLoops, model, verbose } = options;
-
-  let { score, hits } = lint(text);
-  let loops = 0;
-
-  if (verbose) {
-    console.log(c(`Initial score: ${score}`, score >= 80 ? "green" : "yellow"));
-    if (hits.length > 0) {
-      console.log(c(`Found ${hits.length} issues`, "yellow"));
-    }
-  }
-
-  while (hits.length > 0 && loops < maxLoops) {
-    console.log(c(`Phase ${loops + 2}: Repair loop ${loops + 1}/${maxLoops}...`, "dim"));
-
-    text = await chat(
-      [
-        { role: "system", content: getSystemPrompt() },
-        { role: "user", content: getRepairPrompt(text, hits) },
-      ],
-      model
-    );
-
-    ({ score, hits } = lint(text));
-    loops += 1;
-
-    if (verbose) {
-      console.log(c(`  Score: ${score}, Issues: ${hits.length}`, "dim"));
-    }
-  }
-
-  return { text, score, hits, loops };
-}
+const readline = require("readline/promises");
+const {
+  DEFAULT_MODEL,
+  MAX_LOOPS_DEFAULT,
+  LINT_RULES,
+  REPORT_FORMATS,
+  PROVIDERS,
+  buildRegexRules,
+  lint,
+  fixText,
+  testRules,
+  loadFixtures,
+  findConfigFile,
+  loadConfig,
+  generateText,
+  rewriteText,
+  createProvider,
+  describeDiscrepancy,
+  verifyMeaning,
+  diffWords,
+  formatUnifiedDiff,
+  formatWordDiff,
+  resolvedHits,
+  buildReview,
+  applyReview,
+  recordResponses,
+  cacheResponses,
+  clearCache,
+  defaultCacheDir,
+  AuthError,
+  QuotaError,
+  ContextLengthError,
+  TimeoutError,
+  RetryError,
+  collectFiles,
+  isGlob,
+  mapLimit,
+  aggregateScore,
+  failedThresholds,
+  SEVERITIES,
+  createBaseline,
+  applyBaseline,
+  pruneBaseline,
+  loadBaseline,
+  formatReport,
+} = require("./index");
+const { startLspServer } = require("./lsp");
+
+const LINT_CONCURRENCY = 8;
+// Stands in for a file name to read stdin
+const STDIN = "-";
+
+// Exit codes beyond 0 (clean), 1 (fatal) and 2 (patterns found)
+const EXIT_CODES = [
+  [AuthError, 3],
+  [QuotaError, 4],
+  [ContextLengthError, 5],
+  [TimeoutError, 6],
+  [RetryError, 6],
+];
 
 // =============================================================================
 // CLI
@@ -667,20 +98,71 @@ const colors = {
   bold: "\x1b[1m",
 };
 
-function c(text, color) {
-  return process.stdout.isTTY ? `${colors[color]}${text}${colors.reset}` : text;
+// stdout carries only what a run produces: the text, a diff or a lint
+// report. Progress and the rewrite/generate report go to stderr so the tool
+// works in a pipe; --quiet silences them.
+const output = { report: process.stderr, quiet: false };
+
+function c(text, color, stream = output.report) {
+  return stream.isTTY ? `${colors[color]}${text}${colors.reset}` : text;
+}
+
+function say(text = "") {
+  if (!output.quiet) output.report.write(`${text}\n`);
+}
+
+// NaN for a missing or non-numeric value, so main() can reject it
+function numberArg(value) {
+  return value === undefined || value.trim() === "" ? NaN : Number(value);
 }
 
+// Numeric flags: [flag, option, valid, what is expected]
+const NUMBER_FLAGS = [
+  ["--maxLoops", "maxLoops", (n) => Number.isInteger(n) && n >= 0, "a non-negative integer"],
+  ["--chunk-tokens", "chunkTokens", (n) => Number.isInteger(n) && n >= 0, "a non-negative integer (0 disables chunking)"],
+  ["--budget", "budget", (n) => Number.isFinite(n) && n >= 0, "a non-negative number of US dollars"],
+  ["--timeout", "timeout", (n) => Number.isFinite(n) && n > 0, "a positive number of seconds"],
+  ["--retries", "retries", (n) => Number.isInteger(n) && n >= 0, "a non-negative integer"],
+  ["--fail-under", "failUnder", (n) => Number.isFinite(n) && n >= 0 && n <= 100, "a score from 0 to 100"],
+];
+
 function parseArgs(args) {
   const opts = {
+    command: "",
+    commandArgs: [],
     task: "",
     taskFile: "",
     rewrite: "",
-    lint: "",
+    lint: [],
     out: "",
-    maxLoops: MAX_LOOPS_DEFAULT,
-    model: DEFAULT_MODEL,
+    maxLoops: null,
+    model: "",
+    provider: "",
+    baseUrl: "",
+    mockResponses: "",
+    record: "",
+    cache: true,
+    stream: true,
+    timeout: null,
+    budget: null,
+    retries: null,
+    config: "",
     verbose: false,
+    quiet: false,
+    markdown: true,
+    fix: false,
+    interactive: false,
+    diff: "",
+    write: false,
+    repairMeaning: false,
+    chunkTokens: null,
+    format: "text",
+    report: "",
+    failUnder: null,
+    maxSeverity: "",
+    baseline: "",
+    writeBaseline: "",
+    pruneBaseline: false,
     help: false,
   };
 
@@ -690,13 +172,49 @@ function parseArgs(args) {
 
     if (arg === "--task" || arg === "-t") { opts.task = next || ""; i++; }
     else if (arg === "--taskFile" || arg === "-f") { opts.taskFile = next || ""; i++; }
-    else if (arg === "--rewrite" || arg === "-r") { opts.rewrite = next || ""; i++; }
-    else if (arg === "--lint" || arg === "-l") { opts.lint = next || ""; i++; }
+    else if (arg === "--rewrite" || arg === "-r") {
+      // Without a file (or with "-") the text comes from stdin
+      opts.rewrite = next === STDIN || (next && !next.startsWith("-")) ? args[++i] : STDIN;
+    }
+    else if (arg === "--lint" || arg === "-l") {
+      while (i + 1 < args.length && (args[i + 1] === STDIN || !args[i + 1].startsWith("-"))) opts.lint.push(args[++i]);
+      if (opts.lint.length === 0) opts.lint.push(STDIN);
+    }
     else if (arg === "--out" || arg === "-o") { opts.out = next || ""; i++; }
-    else if (arg === "--maxLoops" || arg === "-m") { opts.maxLoops = parseInt(next, 10) || MAX_LOOPS_DEFAULT; i++; }
-    else if (arg === "--model") { opts.model = next || DEFAULT_MODEL; i++; }
+    else if (arg === "--maxLoops" || arg === "-m") { opts.maxLoops = numberArg(next); i++; }
+    else if (arg === "--model") { opts.model = next || ""; i++; }
+    else if (arg === "--provider") { opts.provider = next || ""; i++; }
+    else if (arg === "--base-url") { opts.baseUrl = next || ""; i++; }
+    else if (arg === "--mock-responses") { opts.mockResponses = next || ""; i++; }
+    else if (arg === "--record") { opts.record = next || ""; i++; }
+    else if (arg === "--config" || arg === "-c") { opts.config = next || ""; i++; }
     else if (arg === "--verbose" || arg === "-v") { opts.verbose = true; }
+    else if (arg === "--quiet" || arg === "-q") { opts.quiet = true; }
+    else if (arg === "--no-markdown") { opts.markdown = false; }
+    else if (arg === "--fix") { opts.fix = true; }
+    else if (arg === "--interactive" || arg === "-i") { opts.interactive = true; }
+    else if (arg === "--diff") {
+      opts.diff = "unified";
+      if (next === "unified" || next === "words") { opts.diff = next; i++; }
+    }
+    else if (arg === "--write") { opts.write = true; }
+    else if (arg === "--repair-meaning") { opts.repairMeaning = true; }
+    else if (arg === "--chunk-tokens") { opts.chunkTokens = numberArg(next); i++; }
+    else if (arg === "--format") { opts.format = next || "text"; i++; }
+    else if (arg === "--report") { opts.report = next || ""; i++; }
+    else if (arg === "--fail-under") { opts.failUnder = numberArg(next); i++; }
+    else if (arg === "--max-severity") { opts.maxSeverity = next || ""; i++; }
+    else if (arg === "--baseline") { opts.baseline = next || ""; i++; }
+    else if (arg === "--write-baseline") { opts.writeBaseline = next || ""; i++; }
+    else if (arg === "--prune-baseline") { opts.pruneBaseline = true; }
+    else if (arg === "--no-cache") { opts.cache = false; }
+    else if (arg === "--no-stream") { opts.stream = false; }
+    else if (arg === "--budget") { opts.budget = numberArg(next); i++; }
+    else if (arg === "--timeout") { opts.timeout = numberArg(next); i++; }
+    else if (arg === "--retries") { opts.retries = numberArg(next); i++; }
     else if (arg === "--help" || arg === "-h") { opts.help = true; }
+    else if (i === 0 && !arg.startsWith("-")) { opts.command = arg; }
+    else if (opts.command && !arg.startsWith("-")) { opts.commandArgs.push(arg); }
   }
 
   return opts;
@@ -710,16 +228,47 @@ ${c("USAGE:", "cyan")}
   node ai-writer.js --task "Write about X"           Generate new humanized text
   node ai-writer.js --rewrite input.txt              Humanize existing text
   node ai-writer.js --lint input.txt                 Check text for AI patterns
+  node ai-writer.js --lint docs/ "notes/**/*.md"     Check many files at once
+  node ai-writer.js --lint input.md --fix            Apply mechanical fixes (no AI)
+  node ai-writer.js --rewrite - -q < in.md > out.md  Filter stdin to stdout
+  node ai-writer.js cache clear                      Delete cached model responses
+  node ai-writer.js lsp                              Run a language server for editors (stdio)
+  node ai-writer.js test-rules [fixtures.json ...]   Check every rule against its examples
 
 ${c("OPTIONS:", "cyan")}
   --task, -t        Task/prompt for new text generation
   --taskFile, -f    Read task from file
-  --rewrite, -r     Rewrite/humanize an existing file
-  --lint, -l        Lint-only mode (no AI, just check)
+  --rewrite, -r     Rewrite/humanize an existing file; "-" or no file reads stdin
+  --lint, -l        Lint-only mode (no AI, just check); takes files, directories and globs, or "-" for stdin
+  --diff [words]    With --rewrite: print a unified diff (or a word diff) instead of the text
+  --write           With --rewrite: replace the input file, keeping the original as <file>.bak
+  --interactive, -i With --rewrite: review each changed paragraph and keep only what you accept
+  --fix             With --lint: apply mechanical fixes in place (or to --out)
   --out, -o         Output file (default: stdout)
+  --chunk-tokens    Rewrite inputs longer than this many tokens chunk by chunk; 0 disables (default: 1500)
+  --repair-meaning  Send facts the rewrite dropped or changed back to the model for repair
   --maxLoops, -m    Max repair iterations (default: ${MAX_LOOPS_DEFAULT})
-  --model           AI model (default: ${DEFAULT_MODEL})
+  --model           AI model (default: ${DEFAULT_MODEL}, or the provider's default)
+  --provider        LLM provider: ${PROVIDERS.join(", ")} (default: openai)
+  --base-url        API base URL (required for the compatible provider)
+  --mock-responses  Recorded responses file replayed by the mock provider
+  --record          Append every model response to a file the mock provider can replay
+  --no-cache        Always call the model, even for a request answered before
+  --no-stream       Don't print the first draft as it arrives (it is only streamed to a terminal)
+  --budget          Stop repairing before the run would cost more than this many US dollars
+  --timeout         Seconds to wait for one model response (default: 120)
+  --retries         Retries for rate limits, server and network errors (default: 4)
+  --config, -c      Config file (default: nearest .aiwriterrc or ai-writer.config.js)
+  --no-markdown     Lint every line as prose (don't skip code, links, HTML)
+  --format          Report format: text, json, sarif, checkstyle (default: text)
+  --report          Write the report to a file instead of stdout
+  --fail-under      Exit with code 2 only when a score is below this (0-100)
+  --max-severity    Exit with code 2 only for hits more severe than this: ${SEVERITIES.join(", ")}
+  --write-baseline  With --lint: record the current hits in a baseline file and exit
+  --baseline        With --lint: report and fail only on hits not in this baseline file
+  --prune-baseline  With --baseline: drop entries for hits that are gone from the file
   --verbose, -v     Detailed output
+  --quiet, -q       Print only the result: the text, the diff or a machine-readable lint report
   --help, -h        Show this help
 
 ${c("WHAT IT CATCHES:", "cyan")}
@@ -740,16 +289,18 @@ ${c("EXAMPLES:", "cyan")}
 `);
 }
 
-function printResults(hits, score, verbose) {
+function printResults(hits, score, verbose, categories = {}) {
   const scoreColor = score >= 90 ? "green" : score >= 70 ? "yellow" : "red";
-  console.log(c(`\nHumanization Score: ${score}/100`, scoreColor));
+  say(c(`\nHumanization Score: ${score}/100`, scoreColor));
 
   if (hits.length === 0) {
-    console.log(c("No AI patterns detected.", "green"));
+    say(c("No AI patterns detected.", "green"));
     return;
   }
+  const subScores = Object.entries(categories).map(([cat, { score: sub }]) => `${cat} ${sub}`);
+  if (subScores.length > 0) say(c(`By category: ${subScores.join(", ")}`, "dim"));
 
-  console.log(c(`Found ${hits.length} AI pattern(s):\n`, "yellow"));
+  say(c(`Found ${hits.length} AI pattern(s):\n`, "yellow"));
 
   // Group by category
   const byCategory = {};
@@ -759,7 +310,7 @@ function printResults(hits, score, verbose) {
   });
 
   Object.entries(byCategory).forEach(([cat, catHits]) => {
-    console.log(c(`${cat.toUpperCase()}:`, "cyan"));
+    say(c(`${cat.toUpperCase()}:`, "cyan"));
 
     // Group by rule within category
     const byRule = {};
@@ -771,24 +322,376 @@ function printResults(hits, score, verbose) {
     Object.entries(byRule).forEach(([rule, ruleHits]) => {
       const sev = ruleHits[0].severity;
       const sevColor = sev === "critical" ? "red" : sev === "high" ? "yellow" : "dim";
-      console.log(c(`  [${sev}] ${ruleHits[0].description} (${ruleHits.length}x)`, sevColor));
+      say(c(`  [${sev}] ${ruleHits[0].description} (${ruleHits.length}x)`, sevColor));
 
       if (verbose) {
         ruleHits.slice(0, 3).forEach((h) => {
-          console.log(c(`    line ${h.line}: `, "dim") + `"${h.match}"`);
-          console.log(c(`    context: ...${h.excerpt}...`, "dim"));
+          say(c(`    line ${h.line}: `, "dim") + `"${h.match}"`);
+          say(c(`    context: ...${h.excerpt}...`, "dim"));
         });
         if (ruleHits.length > 3) {
-          console.log(c(`    ...and ${ruleHits.length - 3} more`, "dim"));
+          say(c(`    ...and ${ruleHits.length - 3} more`, "dim"));
         }
       } else {
         ruleHits.slice(0, 2).forEach((h) => {
-          console.log(c(`    line ${h.line}: `, "dim") + `"${h.match}"`);
+          say(c(`    line ${h.line}: `, "dim") + `"${h.match}"`);
         });
       }
     });
-    console.log();
+    say();
+  });
+}
+
+// ---------- Streaming ----------
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+// Prints a streamed draft as it arrives, coloring pattern hits in the
+// paragraph being written. Text is held back to the last whitespace so a
+// half-received word is never linted; a phrase that starts in text already
+// printed is only colored from there on.
+function createStreamPrinter(rules, markdown) {
+  const patternRules = rules.filter((rule) => rule.pattern);
+  let paragraph = []; // finished lines of the current paragraph
+  let line = "";
+  let printed = 0; // characters of `line` already written
+  let inFence = false;
+  let started = false;
+
+  const flush = (end) => {
+    if (end <= printed) return;
+    let out = line.slice(printed, end);
+    if (!inFence && !FENCE.test(line)) {
+      const row = paragraph.length + 1;
+      const { hits } = lint([...paragraph, line.slice(0, end)].join("\n"), { markdown, rules: patternRules });
+      // Colored from the back so earlier offsets stay valid
+      hits
+        .filter((h) => h.line <= row && h.endLine >= row)
+        .map((h) => ({
+          from: Math.max(printed, h.line === row ? h.column - 1 : 0),
+          to: Math.min(end, h.endLine === row ? h.endColumn - 1 : end),
+          color: h.severity === "critical" || h.severity === "high" ? "red" : "yellow",
+        }))
+        .filter((span) => span.from < span.to)
+        .sort((a, b) => b.from - a.from)
+        .reduce((last, span) => {
+          if (span.to > last) return last;
+          out = out.slice(0, span.from - printed) + c(out.slice(span.from - printed, span.to - printed), span.color) + out.slice(span.to - printed);
+          return span.from;
+        }, Infinity);
+    }
+    output.report.write(out);
+    printed = end;
+  };
+
+  return {
+    write(token) {
+      if (!started) output.report.write("\n");
+      started = true;
+      const parts = token.split("\n");
+      parts.forEach((part, idx) => {
+        if (idx > 0) {
+          flush(line.length);
+          output.report.write("\n");
+          if (FENCE.test(line)) inFence = !inFence;
+          paragraph = line.trim() === "" || FENCE.test(line) ? [] : [...paragraph, line];
+          line = "";
+          printed = 0;
+        }
+        line += part;
+      });
+      const boundary = line.search(/\s\S*$/);
+      if (boundary !== -1) flush(boundary + 1);
+    },
+    // Prints what is left; called before any other output
+    end() {
+      if (!started) return;
+      flush(line.length);
+      output.report.write("\n\n");
+      paragraph = [];
+      line = "";
+      printed = 0;
+      inFence = false;
+      started = false;
+    },
+  };
+}
+
+// Pipeline progress from the library; per-loop scores only with --verbose
+function printProgress(event, verbose) {
+  if (event.type === "start") say(c(`\n${event.message}`, "cyan"));
+  else if (event.type === "retry" || event.type === "warning") say(c(event.message, "yellow"));
+  else if (event.type === "score" || event.type === "cache") {
+    if (verbose) say(c(event.message, event.score >= 80 ? "green" : "yellow"));
+  } else say(c(event.message, "dim"));
+}
+
+function printFixes(fixes = [], remaining = 0) {
+  if (fixes.length === 0) return;
+  say(c(`\nFixed ${fixes.length} issue(s):`, "green"));
+  fixes.forEach((f) => {
+    const change = f.to ? `"${f.from}" -> "${f.to}"` : `removed "${f.from}"`;
+    say(c(`  line ${f.line}: `, "dim") + `${change} ${c(`(${f.rule})`, "dim")}`);
+  });
+  if (remaining > 0) say(c("The issues below need a human or --rewrite.", "dim"));
+}
+
+function printUnusedSuppressions(unused = []) {
+  if (unused.length === 0) return;
+  say(c(`Unused suppression(s) (${unused.length}):`, "yellow"));
+  unused.forEach((s) => {
+    say(c(`  line ${s.line}: `, "dim") + `${s.directive} ${s.rule || "(all rules)"}`);
+  });
+}
+
+function colorDiff(diff) {
+  return diff.replace(/^.*$/gm, (line) => {
+    if (/^(\+\+\+|---) /.test(line)) return c(line, "bold", process.stdout);
+    if (line.startsWith("@@")) return c(line, "cyan", process.stdout);
+    if (line.startsWith("+")) return c(line, "green", process.stdout);
+    if (line.startsWith("-")) return c(line, "red", process.stdout);
+    return line;
+  });
+}
+
+function formatCost(cost) {
+  return cost === null ? "unknown cost" : `~$${cost.toFixed(cost < 0.01 ? 4 : 2)}`;
+}
+
+function printUsage(usage, verbose) {
+  if (!usage || usage.calls === 0) return;
+  const estimated = usage.estimated ? " (partly estimated)" : "";
+  const cached = usage.cachedCalls > 0 ? `, ${usage.cachedCalls} from cache` : "";
+  say(
+    c(
+      `Usage: ${usage.calls} call(s)${cached}, ${usage.promptTokens} prompt + ${usage.completionTokens} completion tokens${estimated}, ${formatCost(usage.cost)}`,
+      "dim"
+    )
+  );
+  if (usage.unpriced.length > 0) say(c(`  No price for ${usage.unpriced.join(", ")}; add it under "prices" in the config`, "dim"));
+  if (!verbose) return;
+  usage.phases.forEach((p) => {
+    say(c(`  ${p.phase.padEnd(10)} ${p.promptTokens} + ${p.completionTokens} tokens, ${formatCost(usage.cost === null ? null : p.cost)}`, "dim"));
+  });
+}
+
+function printMeaning(meaning = []) {
+  if (meaning.length === 0) return;
+  say(c(`\nMeaning changes (${meaning.length}):`, "yellow"));
+  meaning.forEach((d) => say(`  ${describeDiscrepancy(d)}`));
+}
+
+// Failing examples always, passing rules only with --verbose
+function printRuleTests(report, verbose) {
+  const total = report.results.length + report.untested.length;
+  say(c(`Testing ${total} rule(s)`, "cyan"));
+  report.results.forEach(({ rule, examples, failures }) => {
+    if (failures.length === 0) {
+      if (verbose) say(c(`  ✓ ${rule} (${examples} example(s))`, "green"));
+      return;
+    }
+    say(c(`  ✗ ${rule} (${failures.length} of ${examples} example(s) failed)`, "red"));
+    failures.forEach((f) => {
+      const found = f.matches.length > 0 ? c(` (matched ${f.matches.map((m) => `"${m}"`).join(", ")})`, "dim") : "";
+      if (f.expected === "fix") say(`      should fix: ${JSON.stringify(f.text)} to ${JSON.stringify(f.want)}${c(` (got ${JSON.stringify(f.fixed)})`, "dim")}`);
+      else say(`      should ${f.expected}: ${JSON.stringify(f.text)}${found}`);
+    });
+  });
+  report.unknown.forEach((id) => say(c(`  Fixtures for unknown rule "${id}" were not run`, "yellow")));
+
+  const covered = report.untested.length === 0 ? "green" : "yellow";
+  say(c(`\nCoverage: ${report.results.length} of ${total} rule(s) have fixtures`, covered));
+  if (report.untested.length > 0) say(c(`  Without fixtures: ${report.untested.join(", ")}`, "yellow"));
+  const passing = report.results.length - report.failed;
+  if (report.failed > 0) say(c(`${report.failed} rule(s) failing, ${passing} passing`, "red"));
+  else say(c(`All ${passing} tested rule(s) pass`, "green"));
+}
+
+// Only said when --fail-under or --max-severity is in use
+function printThresholds(result, thresholds) {
+  if (thresholds.failUnder === undefined && thresholds.maxSeverity === undefined) return;
+  const reasons = failedThresholds(result, thresholds);
+  if (reasons.length > 0) say(c(`Failed: ${reasons.join("; ")}`, "red"));
+  else say(c("Passed the score and severity thresholds", "green"));
+}
+
+function printSummary(results, verbose, thresholds) {
+  results.forEach(({ file, score, hits, categories, fixes = [], unusedSuppressions = [] }) => {
+    if (hits.length === 0 && fixes.length === 0 && unusedSuppressions.length === 0 && !verbose) return;
+    say(c(`\n${file}`, "bold"));
+    printFixes(fixes, hits.length);
+    printResults(hits, score, verbose, categories);
+    printUnusedSuppressions(unusedSuppressions);
+  });
+
+  say(c("\nSummary:", "cyan"));
+  results.forEach((result) => {
+    const { file, score, hits } = result;
+    const scoreColor = score >= 90 ? "green" : score >= 70 ? "yellow" : "red";
+    const status = hits.length === 0 ? "clean" : `${hits.length} hit(s)`;
+    const failed = failedThresholds(result, thresholds).length > 0 ? c("✗", "red") : " ";
+    say(`  ${c(String(score).padStart(3), scoreColor)} ${failed} ${status.padEnd(12)} ${file}`);
   });
+
+  const score = aggregateScore(results);
+  const failing = results.filter((r) => failedThresholds(r, thresholds).length > 0).length;
+  const gated = thresholds.failUnder !== undefined || thresholds.maxSeverity !== undefined;
+  const scoreColor = score >= 90 ? "green" : score >= 70 ? "yellow" : "red";
+  say(c(`\nAggregate score: ${score}/100 across ${results.length} file(s), ${failing} ${gated ? "failing the thresholds" : "with AI patterns"}`, scoreColor));
+  printBaselined(results);
+}
+
+function printBaselined(results) {
+  const known = results.reduce((sum, result) => sum + (result.baselined || 0), 0);
+  if (known > 0) say(c(`${known} known hit(s) from the baseline not shown`, "dim"));
+}
+
+// Text goes through printResults; everything else is written to --report or
+// the report stream, even with --quiet
+function writeReport(results, opts, { multi = false, rules = LINT_RULES, thresholds = {} } = {}) {
+  if (opts.format === "text") {
+    if (multi) {
+      printSummary(results, opts.verbose, thresholds);
+      return;
+    }
+    const [{ hits, score, categories, fixes, unusedSuppressions, meaning }] = results;
+    printFixes(fixes, hits.length);
+    printResults(hits, score, opts.verbose, categories);
+    printThresholds(results[0], thresholds);
+    printBaselined(results);
+    printUnusedSuppressions(unusedSuppressions);
+    printMeaning(meaning);
+    return;
+  }
+  const report = formatReport(results, opts.format, { multi, rules });
+  if (opts.report) {
+    fs.writeFileSync(path.resolve(opts.report), `${report}\n`, "utf8");
+    if (!output.quiet) console.error(c(`Wrote ${opts.format} report: ${opts.report}`, "dim", process.stderr));
+  } else {
+    output.report.write(`${report}\n`);
+  }
+}
+
+// The finished text on stdout, between banners only when someone is reading it there
+function printText(text, title) {
+  const banners = process.stdout.isTTY && !output.quiet;
+  if (banners) console.log(c(`\n----- ${title} -----\n`, "cyan", process.stdout));
+  process.stdout.write(text.endsWith("\n") ? text : `${text}\n`);
+  if (banners) console.log(c("\n----- END -----", "cyan", process.stdout));
+}
+
+function readStdin() {
+  if (process.stdin.isTTY) {
+    console.error(c("Nothing to read: pipe text into stdin or pass a file", "red"));
+    process.exit(1);
+  }
+  return fs.readFileSync(0, "utf8");
+}
+
+// ---------- Interactive review ----------
+
+function printHunk(hunk, proposal, resolved, idx, total) {
+  console.log(c(`\n── Change ${idx + 1}/${total} (line ${hunk.line}) ──`, "bold"));
+  const diff = diffWords(hunk.original, proposal)
+    .map((part) => (part.type === "equal" ? part.text : c(part.text, part.type === "delete" ? "red" : "green")))
+    .join("");
+  console.log(diff);
+  if (resolved.length > 0) {
+    console.log(c(`Resolves: ${resolved.map((hit) => `"${hit.match}" (${hit.rule})`).join(", ")}`, "dim"));
+  }
+}
+
+// Opens `text` in $VISUAL/$EDITOR and returns what the user saved
+function editInEditor(text) {
+  const file = path.join(os.tmpdir(), `ai-writer-${process.pid}.md`);
+  fs.writeFileSync(file, `${text}\n`, "utf8");
+  try {
+    const editor = process.env.VISUAL || process.env.EDITOR || "vi";
+    const { status } = spawnSync(`${editor} "${file}"`, { shell: true, stdio: "inherit" });
+    if (status !== 0) throw new Error(`Editor exited with code ${status}`);
+    return fs.readFileSync(file, "utf8").trimEnd();
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+// Shows each changed paragraph and returns the document with only the
+// accepted changes applied
+async function reviewChanges(inputText, rewritten, rewriteOptions) {
+  const review = buildReview(inputText, rewritten, rewriteOptions);
+  if (review.hunks.length === 0) {
+    console.log(c("\nThe rewrite made no changes.", "dim"));
+    return inputText;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const choices = review.hunks.map(() => null);
+  // Set once the user accepts or rejects everything that is left
+  let rest = null;
+
+  try {
+    for (let i = 0; i < review.hunks.length; i++) {
+      const hunk = review.hunks[i];
+      let proposal = hunk.rewritten;
+      let resolved = hunk.resolved;
+
+      while (rest === null) {
+        printHunk(hunk, proposal, resolved, i, review.hunks.length);
+        const answer = (await rl.question(c("[a]ccept [r]eject [e]dit [g]enerate again [A]ccept rest [q]uit > ", "cyan"))).trim();
+        if (answer === "a") {
+          choices[i] = proposal;
+          break;
+        }
+        if (answer === "r") break;
+        if (answer === "A") rest = "accept";
+        else if (answer === "q") rest = "reject";
+        else if (answer === "e") {
+          rl.pause();
+          try {
+            proposal = editInEditor(proposal);
+          } catch (err) {
+            console.error(c(err.message, "red"));
+          }
+          rl.resume();
+          resolved = resolvedHits(hunk.hits, proposal, rewriteOptions);
+        } else if (answer === "g") {
+          if (!hunk.original) {
+            console.log(c("Nothing to regenerate: the rewrite added this paragraph.", "yellow"));
+            continue;
+          }
+          console.log(c("Regenerating...", "dim"));
+          ({ text: proposal } = await rewriteText(hunk.original, { ...rewriteOptions, chunkTokens: 0, onProgress: () => {} }));
+          resolved = resolvedHits(hunk.hits, proposal, rewriteOptions);
+        }
+      }
+      if (rest === "accept") choices[i] = proposal;
+    }
+  } finally {
+    rl.close();
+  }
+
+  const accepted = choices.filter((choice) => choice !== null).length;
+  console.log(c(`\nAccepted ${accepted} of ${review.hunks.length} change(s)`, "cyan"));
+  return applyReview(review, choices);
+}
+
+// A cache dir from the config is relative to the config file
+function cacheOptions(config, configFile) {
+  const { dir, ...rest } = config.cache || {};
+  return { ...rest, dir: dir ? path.resolve(path.dirname(configFile), dir) : defaultCacheDir() };
+}
+
+// Built only by the modes that call the model, so linting never needs an API key
+function createCliProvider(opts, config, configFile) {
+  const options = { ...config.providerOptions };
+  if (opts.baseUrl) options.baseURL = opts.baseUrl;
+  if (opts.mockResponses) options.responses = path.resolve(opts.mockResponses);
+  let provider = createProvider(opts.provider, options);
+  // Recorded responses are replayed as they are, never cached
+  if (opts.cache && config.cache !== false && opts.provider !== "mock") {
+    provider = cacheResponses(provider, cacheOptions(config, configFile));
+  }
+  return opts.record ? recordResponses(provider, path.resolve(opts.record)) : provider;
 }
 
 async function main() {
@@ -798,49 +701,327 @@ async function main() {
     showHelp();
     process.exit(0);
   }
+  output.quiet = opts.quiet;
+
+  if (opts.format !== "text" && !REPORT_FORMATS.includes(opts.format)) {
+    console.error(c(`Unknown format: ${opts.format} (expected text, ${REPORT_FORMATS.join(", ")})`, "red"));
+    process.exit(1);
+  }
+  NUMBER_FLAGS.forEach(([flag, key, valid, expected]) => {
+    if (opts[key] !== null && !valid(opts[key])) {
+      console.error(c(`${flag} expects ${expected}`, "red"));
+      process.exit(1);
+    }
+  });
+  if (opts.maxSeverity && !SEVERITIES.includes(opts.maxSeverity)) {
+    console.error(c(`Unknown severity: ${opts.maxSeverity} (expected one of ${SEVERITIES.join(", ")})`, "red"));
+    process.exit(1);
+  }
+
+  // LSP MODE: stdout belongs to the protocol, and every document finds its own config
+  if (opts.command === "lsp") {
+    const code = await startLspServer({
+      markdown: opts.markdown,
+      configFile: opts.config ? path.resolve(opts.config) : null,
+      modelOptions: (docConfig, docConfigFile) => ({
+        provider: createCliProvider({ ...opts, provider: opts.provider || docConfig.provider || "openai" }, docConfig, docConfigFile),
+        model: opts.model || docConfig.model,
+        maxLoops: opts.maxLoops ?? docConfig.maxLoops ?? MAX_LOOPS_DEFAULT,
+        network: {
+          ...docConfig.network,
+          ...(opts.timeout !== null && { requestTimeoutSeconds: opts.timeout }),
+          ...(opts.retries !== null && { retries: opts.retries }),
+        },
+        budget: opts.budget ?? docConfig.budget,
+        repairMeaning: opts.repairMeaning || Boolean(docConfig.repairMeaning),
+      }),
+    });
+    process.exit(code);
+  }
+
+  const configFile = opts.config ? path.resolve(opts.config) : findConfigFile();
+  let config = {};
+  if (configFile) {
+    if (!fs.existsSync(configFile)) {
+      console.error(c(`Config not found: ${configFile}`, "red"));
+      process.exit(1);
+    }
+    try {
+      config = loadConfig(configFile);
+    } catch (err) {
+      console.error(c(err.message, "red"));
+      process.exit(1);
+    }
+  }
+  if ((opts.diff || opts.write) && !opts.rewrite) {
+    console.error(c("--diff and --write only work with --rewrite", "red"));
+    process.exit(1);
+  }
+  if (opts.write && opts.out) {
+    console.error(c("Use either --write or --out, not both", "red"));
+    process.exit(1);
+  }
+  if ((opts.baseline || opts.writeBaseline) && (opts.lint.length === 0 || opts.lint.includes(STDIN))) {
+    console.error(c("--baseline and --write-baseline only work with --lint on files", "red"));
+    process.exit(1);
+  }
+  if (opts.baseline && opts.writeBaseline) {
+    console.error(c("Use either --baseline or --write-baseline, not both", "red"));
+    process.exit(1);
+  }
+  if (opts.pruneBaseline && !opts.baseline) {
+    console.error(c("--prune-baseline needs --baseline", "red"));
+    process.exit(1);
+  }
+
+  if (opts.provider && !PROVIDERS.includes(opts.provider)) {
+    console.error(c(`Unknown provider: ${opts.provider} (expected one of ${PROVIDERS.join(", ")})`, "red"));
+    process.exit(1);
+  }
+
+  if (opts.command === "cache") {
+    if (opts.commandArgs[0] !== "clear") {
+      console.error(c("Unknown cache command (expected: cache clear)", "red"));
+      process.exit(1);
+    }
+    const { dir } = cacheOptions(config, configFile);
+    const removed = clearCache(dir);
+    say(c(`Removed ${removed} cached response(s) from ${dir}`, "green"));
+    process.exit(0);
+  }
+  if (opts.command === "test-rules") {
+    if (opts.format !== "text" && opts.format !== "json") {
+      console.error(c("test-rules only supports --format text or json", "red"));
+      process.exit(1);
+    }
+    // Extra fixture files come from the command line
+    let fixtures = {};
+    try {
+      opts.commandArgs.forEach((file) => {
+        Object.entries(loadFixtures(path.resolve(file))).forEach(([id, { flag = [], pass = [], fix = [] }]) => {
+          const known = fixtures[id] || { flag: [], pass: [], fix: [] };
+          fixtures[id] = { flag: [...known.flag, ...flag], pass: [...known.pass, ...pass], fix: [...known.fix, ...fix] };
+        });
+      });
+    } catch (err) {
+      console.error(c(err.message, "red"));
+      process.exit(1);
+    }
+
+    output.report = process.stdout;
+    const report = testRules({ rules: buildRegexRules(config), fixtures, markdown: opts.markdown });
+    if (opts.format === "json") console.log(JSON.stringify(report, null, 2));
+    else printRuleTests(report, opts.verbose);
+    process.exit(report.failed > 0 ? 1 : 0);
+  }
+  if (opts.command) {
+    console.error(c(`Unknown command: ${opts.command}`, "red"));
+    console.error("Run with --help for usage.");
+    process.exit(1);
+  }
+
+  const rules = buildRegexRules(config);
+  // Command-line flags win over the config file, which wins over the defaults
+  opts.provider = opts.provider || config.provider || "openai";
+  opts.model = opts.model || config.model;
+  const budget = opts.budget ?? config.budget;
+  const network = { ...config.network };
+  if (opts.timeout !== null) network.requestTimeoutSeconds = opts.timeout;
+  if (opts.retries !== null) network.retries = opts.retries;
+  opts.maxLoops = opts.maxLoops ?? config.maxLoops ?? MAX_LOOPS_DEFAULT;
+  const scoring = config.scoring;
+  const thresholds = {
+    failUnder: opts.failUnder ?? scoring?.failUnder,
+    maxSeverity: opts.maxSeverity || scoring?.maxSeverity,
+  };
+  const failed = (result) => failedThresholds(result, thresholds).length > 0;
+  // The first draft is printed as it arrives, but only to a terminal reading the text report
+  const streaming = opts.stream && !opts.quiet && process.stderr.isTTY && opts.format === "text";
 
   // LINT MODE
-  if (opts.lint) {
-    const filePath = path.resolve(opts.lint);
-    if (!fs.existsSync(filePath)) {
-      console.error(c(`File not found: ${filePath}`, "red"));
+  if (opts.lint.length > 0 && opts.lint.includes(STDIN)) {
+    if (opts.lint.length > 1) {
+      console.error(c("stdin (-) can't be linted together with files", "red"));
       process.exit(1);
     }
-    const text = fs.readFileSync(filePath, "utf8");
-    console.log(c(`Linting: ${opts.lint}`, "cyan"));
-    const { score, hits } = lint(text);
-    printResults(hits, score, opts.verbose);
-    process.exit(hits.length > 0 ? 2 : 0);
+    const text = readStdin();
+    // Fixed text is the output, so the report moves to stderr
+    if (!opts.fix) output.report = process.stdout;
+    const lintOptions = { markdown: opts.markdown, rules, scoring };
+    const { text: fixed, ...result } = opts.fix ? fixText(text, lintOptions) : { text, ...lint(text, lintOptions) };
+
+    writeReport([{ file: "<stdin>", ...result }], opts, { rules, thresholds });
+    if (opts.fix && opts.out) fs.writeFileSync(path.resolve(opts.out), fixed, "utf8");
+    else if (opts.fix) process.stdout.write(fixed);
+    process.exit(failed(result) ? 2 : 0);
+  }
+
+  if (opts.lint.length > 0) {
+    // The report is what linting produces
+    output.report = process.stdout;
+    const { files, missing } = collectFiles(opts.lint);
+    if (missing.length > 0) {
+      missing.forEach((input) => console.error(c(`No files found: ${input}`, "red")));
+      process.exit(1);
+    }
+
+    // A single plain file keeps the single-result report shape
+    const multi =
+      opts.lint.length > 1 || isGlob(opts.lint[0]) || fs.statSync(path.resolve(opts.lint[0])).isDirectory();
+    if (opts.fix && opts.out && multi) {
+      console.error(c("--out can only be used with --fix on a single file", "red"));
+      process.exit(1);
+    }
+    if (opts.format === "text") {
+      say(c(multi ? `Linting ${files.length} file(s)` : `Linting: ${opts.lint[0]}`, "cyan"));
+    }
+
+    let results = await mapLimit(files, LINT_CONCURRENCY, async (file) => {
+      const text = await fs.promises.readFile(file, "utf8");
+      const display = multi ? path.relative(process.cwd(), file) : opts.lint[0];
+      if (!opts.fix) return { file: display, ...lint(text, { markdown: opts.markdown, rules, scoring }) };
+
+      const { text: fixed, ...result } = fixText(text, { markdown: opts.markdown, rules, scoring });
+      if (opts.out) await fs.promises.writeFile(path.resolve(opts.out), fixed, "utf8");
+      else if (fixed !== text) await fs.promises.writeFile(file, fixed, "utf8");
+      return { file: display, ...result };
+    });
+
+    if (opts.writeBaseline || opts.baseline) {
+      // Baseline entries are keyed by path relative to the baseline file
+      const baselineFile = path.resolve(opts.writeBaseline || opts.baseline);
+      const baseDir = path.dirname(baselineFile);
+      const keyed = results.map((result, idx) => ({ ...result, file: path.relative(baseDir, files[idx]).split(path.sep).join("/") }));
+
+      if (opts.writeBaseline) {
+        const baseline = createBaseline(keyed);
+        fs.writeFileSync(baselineFile, `${JSON.stringify(baseline, null, 2)}\n`, "utf8");
+        const count = results.reduce((sum, result) => sum + result.hits.length, 0);
+        say(c(`Wrote baseline: ${count} hit(s) in ${Object.keys(baseline.files).length} file(s) to ${opts.writeBaseline}`, "green"));
+        process.exit(0);
+      }
+
+      let baseline;
+      try {
+        if (!fs.existsSync(baselineFile)) throw new Error(`Baseline not found: ${opts.baseline}`);
+        baseline = loadBaseline(baselineFile);
+      } catch (err) {
+        console.error(c(err.message, "red"));
+        process.exit(1);
+      }
+      const applied = applyBaseline(keyed, baseline, { scoring });
+      results = applied.results.map((result, idx) => ({ ...result, file: results[idx].file }));
+
+      if (opts.pruneBaseline) {
+        // Entries for files that no longer exist are fixed too
+        const fixed = { ...applied.fixed };
+        Object.keys(baseline.files).forEach((name) => {
+          if (!fs.existsSync(path.resolve(baseDir, name))) fixed[name] = baseline.files[name];
+        });
+        const pruned = pruneBaseline(baseline, fixed);
+        if (pruned.removed > 0) fs.writeFileSync(baselineFile, `${JSON.stringify(pruned.baseline, null, 2)}\n`, "utf8");
+        if (!output.quiet) console.error(c(`Pruned ${pruned.removed} fixed hit(s) from ${opts.baseline}`, "dim", process.stderr));
+      }
+    }
+
+    writeReport(results, opts, { multi, rules, thresholds });
+    process.exit(results.some(failed) ? 2 : 0);
   }
 
   // REWRITE MODE
   if (opts.rewrite) {
-    const filePath = path.resolve(opts.rewrite);
-    if (!fs.existsSync(filePath)) {
+    const fromStdin = opts.rewrite === STDIN;
+    const filePath = fromStdin ? "" : path.resolve(opts.rewrite);
+    if (fromStdin && (opts.write || opts.interactive)) {
+      console.error(c("--write and --interactive need a file, not stdin", "red"));
+      process.exit(1);
+    }
+    if (!fromStdin && !fs.existsSync(filePath)) {
       console.error(c(`File not found: ${filePath}`, "red"));
       process.exit(1);
     }
-    const inputText = fs.readFileSync(filePath, "utf8");
+    if (opts.interactive && !(process.stdin.isTTY && process.stdout.isTTY)) {
+      console.error(c("--interactive needs a terminal", "red"));
+      process.exit(1);
+    }
+    const inputText = fromStdin ? readStdin() : fs.readFileSync(filePath, "utf8");
+    const name = fromStdin ? "<stdin>" : opts.rewrite;
+    const stream = streaming ? createStreamPrinter(rules, opts.markdown) : null;
 
-    const { text, score, hits, loops } = await rewriteText(inputText, {
+    const rewriteOptions = {
       maxLoops: opts.maxLoops,
+      repairMeaning: opts.repairMeaning || Boolean(config.repairMeaning),
+      chunkTokens: opts.chunkTokens ?? undefined,
       model: opts.model,
-      verbose: opts.verbose,
-    });
+      provider: createCliProvider(opts, config, configFile),
+      network,
+      budget,
+      markdown: opts.markdown,
+      rules,
+      config,
+      onProgress: (event) => {
+        stream?.end();
+        printProgress(event, opts.verbose);
+      },
+    };
+    const rewrite = await rewriteText(inputText, { ...rewriteOptions, onToken: stream?.write });
+    stream?.end();
+
+    if (opts.interactive) {
+      const text = await reviewChanges(inputText, rewrite.text, rewriteOptions);
+      const { score, categories, hits } = lint(text, { markdown: opts.markdown, rules, scoring });
+      const meaning = verifyMeaning(inputText, text, { markdown: opts.markdown });
+      const report = { file: opts.out || opts.rewrite, score, categories, hits, meaning, loops: rewrite.loops, usage: rewrite.usage };
+      writeReport([report], opts, { rules, thresholds });
+      if (opts.format === "text") printUsage(rewrite.usage, opts.verbose);
+
+      // Without --out the accepted changes go back into the input file
+      if (opts.out || text !== inputText) {
+        fs.writeFileSync(path.resolve(opts.out || opts.rewrite), text, "utf8");
+        say(c(`\nWrote: ${opts.out || opts.rewrite}`, "green"));
+      } else {
+        say(c(`\nNo changes accepted; ${opts.rewrite} left as it was`, "dim"));
+      }
+      process.exit(failed(report) || meaning.length > 0 ? 2 : 0);
+    }
+
+    const { text, score, categories, hits, meaning, loops, usage } = rewrite;
+
+    writeReport([{ file: opts.out || name, score, categories, hits, meaning, loops, usage }], opts, { rules, thresholds });
+    if (opts.format === "text") {
+      say(c(`Repair loops: ${loops}`, "dim"));
+      printUsage(usage, opts.verbose);
+    }
 
-    printResults(hits, score, opts.verbose);
-    console.log(c(`Repair loops: ${loops}`, "dim"));
+    if (opts.write) {
+      fs.writeFileSync(`${filePath}.bak`, inputText, "utf8");
+      fs.writeFileSync(filePath, text, "utf8");
+      say(c(`\nWrote: ${opts.rewrite} (original saved as ${opts.rewrite}.bak)`, "green"));
+    }
 
-    if (opts.out) {
+    if (opts.diff) {
+      const rel = fromStdin ? "stdin" : path.relative(process.cwd(), filePath).split(path.sep).join("/");
+      const diff =
+        opts.diff === "words"
+          ? formatWordDiff(inputText, text, { markdown: opts.markdown, rules })
+          : formatUnifiedDiff(inputText, text, { fromFile: `a/${rel}`, toFile: `b/${rel}` });
+      if (opts.out) {
+        fs.writeFileSync(path.resolve(opts.out), diff, "utf8");
+        say(c(`\nWrote diff: ${opts.out}`, "green"));
+      } else if (!diff) {
+        say(c("\nNo changes", "dim"));
+      } else {
+        say();
+        process.stdout.write(opts.diff === "words" ? diff : colorDiff(diff));
+      }
+    } else if (opts.out) {
       fs.writeFileSync(path.resolve(opts.out), text, "utf8");
-      console.log(c(`\nWrote: ${opts.out}`, "green"));
-    } else {
-      console.log(c("\n----- HUMANIZED TEXT -----\n", "cyan"));
-      console.log(text);
-      console.log(c("\n----- END -----", "cyan"));
+      say(c(`\nWrote: ${opts.out}`, "green"));
+    } else if (!opts.write) {
+      printText(text, "HUMANIZED TEXT");
     }
 
-    process.exit(hits.length > 0 ? 2 : 0);
+    process.exit(failed(rewrite) || meaning.length > 0 ? 2 : 0);
   }
 
   // GENERATE MODE
@@ -860,28 +1041,45 @@ async function main() {
     process.exit(1);
   }
 
-  const { text, score, hits, loops } = await generateText(task, {
+  const stream = streaming ? createStreamPrinter(rules, opts.markdown) : null;
+  const generated = await generateText(task, {
     maxLoops: opts.maxLoops,
+    repairMeaning: opts.repairMeaning || Boolean(config.repairMeaning),
     model: opts.model,
-    verbose: opts.verbose,
+    provider: createCliProvider(opts, config, configFile),
+    network,
+    budget,
+    markdown: opts.markdown,
+    rules,
+    config,
+    onProgress: (event) => {
+      stream?.end();
+      printProgress(event, opts.verbose);
+    },
+    onToken: stream?.write,
   });
+  stream?.end();
+  const { text, score, categories, hits, loops, usage } = generated;
 
-  printResults(hits, score, opts.verbose);
-  console.log(c(`Repair loops: ${loops}`, "dim"));
+  writeReport([{ file: opts.out || "stdout", score, categories, hits, loops, usage }], opts, { rules, thresholds });
+  if (opts.format === "text") {
+    say(c(`Repair loops: ${loops}`, "dim"));
+    printUsage(usage, opts.verbose);
+  }
 
   if (opts.out) {
     fs.writeFileSync(path.resolve(opts.out), text, "utf8");
-    console.log(c(`\nWrote: ${opts.out}`, "green"));
+    say(c(`\nWrote: ${opts.out}`, "green"));
   } else {
-    console.log(c("\n----- GENERATED TEXT -----\n", "cyan"));
-    console.log(text);
-    console.log(c("\n----- END -----", "cyan"));
+    printText(text, "GENERATED TEXT");
   }
 
-  process.exit(hits.length > 0 ? 2 : 0);
+  process.exit(failed(generated) ? 2 : 0);
 }
 
 main().catch((err) => {
   console.error(c(`Fatal: ${err.message}`, "red"));
-  process.exit(1);
+  if (err instanceof ContextLengthError) console.error(c("Try a smaller --chunk-tokens so each request carries less text.", "dim"));
+  const [, code = 1] = EXIT_CODES.find(([ErrorClass]) => err instanceof ErrorClass) || [];
+  process.exit(code);
 });
@@ -0,0 +1,632 @@
+// Type declarations for the AI Humanizer library (index.js)
+
+export type Severity = "critical" | "high" | "medium" | "low";
+
+/** Markdown block a line belongs to, as assigned by maskMarkdown() */
+export type BlockType =
+  | "paragraph"
+  | "heading"
+  | "list"
+  | "blockquote"
+  | "table"
+  | "code"
+  | "html"
+  | "frontmatter"
+  | "blank";
+
+export interface Hit {
+  rule: string;
+  category: string;
+  description: string;
+  severity: Severity;
+  /** 1-based position where the match starts */
+  line: number;
+  column: number;
+  /** 1-based position just past the end of the match */
+  endLine: number;
+  endColumn: number;
+  match: string;
+  excerpt: string;
+}
+
+export interface UnusedSuppression {
+  directive: string;
+  /** null when the directive covered every rule */
+  rule: string | null;
+  line: number;
+  column: number;
+}
+
+export interface CategoryScore {
+  hits: number;
+  /** Points taken off, after length normalization and the category cap */
+  penalty: number;
+  score: number;
+}
+
+export interface ScoreResult {
+  score: number;
+  penalty: number;
+  /** Every category of the rules that ran, hit or not */
+  categories: Record<string, CategoryScore>;
+}
+
+export interface LintResult extends ScoreResult {
+  hits: Hit[];
+  unusedSuppressions: UnusedSuppression[];
+  /** Words of prose the score was normalized against */
+  words: number;
+}
+
+export interface Document {
+  lines: string[];
+  masked: string[];
+  blocks: BlockType[];
+}
+
+export interface Location {
+  line: number;
+  column: number;
+  match: string;
+  /** Overrides the rule description for this finding */
+  description?: string;
+}
+
+export interface Edit {
+  start: number;
+  end: number;
+  text: string;
+  capitalize?: boolean;
+}
+
+export interface WordContext {
+  before?: RegExp;
+  after?: RegExp;
+  allow?: RegExp[];
+}
+
+export interface LintRule {
+  id: string;
+  category: string;
+  description: string;
+  severity: Severity;
+  /** Matched against each unwrapped paragraph; must have the g flag */
+  pattern?: RegExp;
+  /** Document-level detector, used instead of `pattern` */
+  detect?: (doc: Document & { paragraphs: unknown[] }) => Location[];
+  /** Only check paragraphs of these block types */
+  blocks?: BlockType[];
+  /** Context conditions keyed by lowercased match ("*" for any match) */
+  contexts?: Record<string, WordContext>;
+  /** Mechanical fix used by fixText() */
+  fix?: (line: string, hit: Hit, doc: Document) => Edit | null;
+  /** For document-level findings: every location the fix should apply to */
+  fixTargets?: (doc: Document) => Location[];
+  /** Texts the rule must and must not flag, checked by testRules() */
+  examples?: RuleExamples;
+}
+
+export interface RuleExamples {
+  flag?: string[];
+  pass?: string[];
+  /** [text, what fixText() must turn it into] */
+  fix?: Array<[string, string]>;
+}
+
+export interface WordListEdit {
+  add?: string[];
+  remove?: string[];
+}
+
+export interface CustomRule {
+  id: string;
+  pattern: string;
+  description: string;
+  flags?: string;
+  severity?: Severity;
+  category?: string;
+  replacement?: string;
+  context?: { before?: string; after?: string; allow?: string[] };
+  examples?: RuleExamples;
+}
+
+export type ProviderName = "openai" | "azure" | "anthropic" | "compatible" | "mock";
+
+export interface ProviderOptions {
+  apiKey?: string;
+  baseURL?: string;
+  /** Azure resource endpoint */
+  endpoint?: string;
+  /** Azure API version */
+  apiVersion?: string;
+  /** Azure deployment; defaults to the model name */
+  deployment?: string;
+  /** Anthropic max_tokens (default 4096) */
+  maxTokens?: number;
+  /** Mock provider: a recorded responses file, or the entries themselves */
+  responses?: string | Array<string | RecordedResponse>;
+}
+
+export interface RecordedResponse {
+  /** Hash of model and messages; entries without one are served in order */
+  key?: string;
+  model?: string;
+  response: string;
+  usage?: Usage;
+}
+
+export interface Usage {
+  promptTokens: number;
+  completionTokens: number;
+}
+
+export interface Price {
+  /** USD per million prompt tokens */
+  input: number;
+  /** USD per million completion tokens */
+  output: number;
+}
+
+export interface PhaseUsage {
+  /** "draft", "rewrite", "repair 1", ... */
+  phase: string;
+  calls: number;
+  cachedCalls: number;
+  promptTokens: number;
+  completionTokens: number;
+  cost: number;
+}
+
+export interface UsageSummary {
+  phases: PhaseUsage[];
+  calls: number;
+  cachedCalls: number;
+  promptTokens: number;
+  completionTokens: number;
+  /** USD; null when a model had no price */
+  cost: number | null;
+  unpriced: string[];
+  /** Some calls had no usage data and were estimated from text length */
+  estimated: boolean;
+}
+
+export interface UsageTracker {
+  record(entry: {
+    phase: string;
+    model: string;
+    promptTokens: number;
+    completionTokens: number;
+    cached?: boolean;
+    estimated?: boolean;
+  }): void;
+  cost(): number | null;
+  estimateCost(model: string, promptTokens: number, completionTokens: number): number | null;
+  summary(): UsageSummary;
+}
+
+export interface NetworkOptions {
+  /** Retries for rate limits, 5xx, network errors and request timeouts (default 4) */
+  retries?: number;
+  /** Per request (default 120) */
+  requestTimeoutSeconds?: number;
+  /** Per chat() call, retries and waits included (default 600) */
+  totalTimeoutSeconds?: number;
+}
+
+export interface Provider {
+  name: string;
+  defaultModel: string;
+  /** Server URL; part of the response cache key */
+  endpoint?: string;
+  complete(
+    request: {
+      messages: ChatMessage[];
+      model: string;
+      temperature: number;
+      signal?: AbortSignal;
+      /** Providers that can stream call this with each piece of the reply */
+      onToken?: (text: string) => void;
+    }
+  ): Promise<{ text: string; usage?: Usage; /** Served by cacheResponses() */ cached?: boolean }>;
+}
+
+export interface CacheOptions {
+  /** Default $AI_WRITER_CACHE_DIR, else ~/.cache/ai-writer */
+  dir?: string;
+  /** Entries older than this are ignored (default 168) */
+  ttlHours?: number;
+  /** Oldest entries are dropped above this size (default 50) */
+  maxMegabytes?: number;
+}
+
+export interface Config {
+  provider?: ProviderName;
+  providerOptions?: ProviderOptions;
+  network?: NetworkOptions;
+  /** Per-model prices added to or overriding PRICES */
+  prices?: Record<string, Price>;
+  /** USD limit; the repair loop stops before a call that would exceed it */
+  budget?: number;
+  /** false turns the response cache off */
+  cache?: false | CacheOptions;
+  model?: string;
+  maxLoops?: number;
+  /** Send meaning discrepancies back to the model in the repair prompt */
+  repairMeaning?: boolean;
+  /** Rewrite inputs estimated above this many tokens chunk by chunk; 0 disables (default 1500) */
+  chunkTokens?: number;
+  /** Accepted word count of a repair relative to its input (default { min: 0.5, max: 1.5 }) */
+  lengthRatio?: { min?: number; max?: number };
+  emDashesPer1000Words?: number;
+  scoring?: ScoringOptions & Thresholds;
+  rules?: Record<string, "off" | Severity>;
+  words?: {
+    banned?: WordListEdit;
+    transitions?: WordListEdit;
+    gerunds?: WordListEdit;
+    puffery?: WordListEdit;
+  };
+  customRules?: CustomRule[];
+}
+
+export interface WordLists {
+  puffery: string[];
+  gerunds: string[];
+  banned: string[];
+  transitions: string[];
+}
+
+export interface ScoringOptions {
+  /** Points per hit by severity (default critical 20, high 8, medium 4, low 2) */
+  weights?: Partial<Record<Severity, number>>;
+  /** Hits in longer texts cost `perWords / words` of their weight; 0 disables (default 500) */
+  perWords?: number;
+  /** Most points one category can take off */
+  categoryCaps?: Record<string, number>;
+}
+
+export interface Thresholds {
+  /** Fail scores below this */
+  failUnder?: number;
+  /** Fail hits more severe than this */
+  maxSeverity?: Severity;
+}
+
+export interface LintOptions {
+  /** Parse Markdown and lint only prose (default true) */
+  markdown?: boolean;
+  /** Rules to run (default LINT_RULES); build them with buildRegexRules(config) */
+  rules?: LintRule[];
+  /** Usually the config's `scoring` */
+  scoring?: ScoringOptions;
+  /** Suppressions in effect from outside the text, e.g. the rest of the document a chunk came from */
+  suppressions?: InheritedSuppression[];
+}
+
+export interface InheritedSuppression {
+  /** null for every rule */
+  rule: string | null;
+  /** 1-based, in the text's own lines (default 1) */
+  startLine?: number;
+  /** Default: the end of the text */
+  endLine?: number;
+  /** Lasts until an ai-writer-enable directive in the text */
+  open?: boolean;
+}
+
+export interface Fix {
+  rule: string;
+  line: number;
+  column: number;
+  from: string;
+  /** Empty when the text was deleted */
+  to: string;
+}
+
+export interface FixResult extends LintResult {
+  text: string;
+  fixes: Fix[];
+}
+
+export interface ProgressEvent {
+  type: "start" | "phase" | "score" | "retry" | "warning" | "budget" | "cache";
+  message: string;
+  /** Estimated token budget ("budget" events) */
+  tokens?: number;
+  score?: number;
+  hits?: number;
+}
+
+export interface PipelineOptions extends LintOptions {
+  maxLoops?: number;
+  /** Defaults to the provider's default model */
+  model?: string;
+  /** Defaults to an OpenAI provider using OPENAI_API_KEY */
+  provider?: Provider;
+  /** Overrides config.network */
+  network?: NetworkOptions;
+  /** Shared between calls; one is created per run when omitted */
+  usage?: UsageTracker;
+  /** Overrides config.budget */
+  budget?: number;
+  /** Text repairs must not lose structure from (runRepairLoop; defaults to its input) */
+  reference?: string;
+  /** Overrides config.lengthRatio */
+  lengthRatio?: { min?: number; max?: number };
+  /** Overrides config.repairMeaning */
+  repairMeaning?: boolean;
+  /** Overrides config.chunkTokens (rewriteText) */
+  chunkTokens?: number;
+  /** Chunks rewritten at once (default 4) */
+  concurrency?: number;
+  config?: Config;
+  onProgress?: (event: ProgressEvent) => void;
+  /**
+   * Receives the first draft (generateText) or rewrite (rewriteText) as it
+   * streams in; starts over after a "retry" event. Chunked rewrites don't stream.
+   */
+  onToken?: (text: string) => void;
+}
+
+export interface Discrepancy {
+  kind: "number" | "name" | "url" | "code" | "quote";
+  change: "dropped" | "altered" | "invented";
+  /** What the input said (dropped, altered) */
+  expected?: string;
+  /** What the output says instead (altered, invented) */
+  found?: string;
+}
+
+export interface Candidate {
+  /** 0 for the first draft; when it is rejected the repairs start from the input */
+  loop: number;
+  /** 1-based chunk the candidate belongs to, when the input was chunked */
+  chunk?: number;
+  score: number;
+  issues: number;
+  /** Number of meaning discrepancies against the input */
+  meaning: number;
+  /** Why the candidate was rejected: lost headings, links, numbers, code blocks or length */
+  problems: string[];
+  accepted: boolean;
+}
+
+export interface PipelineResult {
+  /** The best accepted candidate */
+  text: string;
+  score: number;
+  categories: Record<string, CategoryScore>;
+  hits: Hit[];
+  /** Facts the result dropped, altered or invented relative to the input */
+  meaning: Discrepancy[];
+  loops: number;
+  candidates: Candidate[];
+  usage: UsageSummary;
+}
+
+export interface ChatMessage {
+  role: "system" | "user" | "assistant";
+  content: string;
+}
+
+export type ReportFormat = "json" | "sarif" | "checkstyle";
+
+export interface FileResult extends LintResult {
+  file: string;
+  meaning?: Discrepancy[];
+  usage?: UsageSummary;
+  fixes?: Fix[];
+  loops?: number;
+  /** Known hits left out by a baseline */
+  baselined?: number;
+}
+
+export const DEFAULT_MODEL: string;
+export const MAX_LOOPS_DEFAULT: number;
+
+export const RULES_SPEC: Record<string, { name: string; rules: Array<Record<string, unknown> & { id: string }> }>;
+export const LINT_RULES: LintRule[];
+export const SEVERITIES: Severity[];
+export function buildRegexRules(config?: Config): LintRule[];
+export function resolveWordLists(edits?: Config["words"]): WordLists;
+
+export function lint(text: string, options?: LintOptions): LintResult;
+export function fixText(
+  text: string,
+  options?: LintOptions & {
+    /** Only hits passing this are fixed (default all) */
+    filter?: (hit: Hit) => boolean;
+  }
+): FixResult;
+export function maskMarkdown(text: string): { lines: string[]; blocks: BlockType[] };
+
+export const SCORING_DEFAULTS: { weights: Record<Severity, number>; perWords: number };
+export function scoreHits(
+  hits: Hit[],
+  options?: { words?: number; categories?: string[]; scoring?: ScoringOptions }
+): ScoreResult;
+/** Reasons `result` fails the thresholds; with none set, any hit fails. Empty when it passes */
+export function failedThresholds(result: { score: number; hits: Hit[] }, thresholds?: Thresholds): string[];
+
+export interface RuleTestReport {
+  results: Array<{
+    rule: string;
+    /** Number of examples checked */
+    examples: number;
+    failures: Array<{
+      expected: "flag" | "pass" | "fix";
+      text: string;
+      matches: string[];
+      /** Fix pairs only: the expected and the actual fixText() output */
+      want?: string;
+      fixed?: string;
+    }>;
+  }>;
+  /** Rules with no examples at all */
+  untested: string[];
+  /** Fixture ids that match no rule */
+  unknown: string[];
+  /** Number of rules with at least one failure */
+  failed: number;
+}
+/** Checks each rule against its own examples plus `fixtures` */
+export function testRules(options?: {
+  rules?: LintRule[];
+  fixtures?: Record<string, RuleExamples>;
+  markdown?: boolean;
+}): RuleTestReport;
+/** Reads a `{ ruleId: { flag, pass, fix } }` JSON file; throws with every problem listed */
+export function loadFixtures(file: string): Record<string, RuleExamples>;
+
+export function findConfigFile(startDir?: string): string | null;
+/** Throws with every validation problem listed */
+export function loadConfig(file: string): Config;
+/** Returns human-readable problems; empty when the config is valid */
+export function validateConfig(config: unknown): string[];
+
+export function generateText(task: string, options?: PipelineOptions): Promise<PipelineResult>;
+export function rewriteText(inputText: string, options?: PipelineOptions): Promise<PipelineResult>;
+/** Reasons `candidate` lost structure from `reference`; empty when it is acceptable */
+export function compareStructure(
+  reference: string,
+  candidate: string,
+  lengthRatio?: { min: number; max: number }
+): string[];
+export interface Chunk {
+  /** 1-based first line */
+  line: number;
+  lineCount: number;
+  text: string;
+}
+
+/** Joining the chunk texts with "\n" gives back `text` */
+export function splitChunks(text: string, options?: { maxTokens?: number; markdown?: boolean }): Chunk[];
+export function estimateTokens(text: string): number;
+export interface DiffRun<T> {
+  type: "equal" | "delete" | "insert";
+  aStart: number;
+  bStart: number;
+  /** Items from the first sequence (equal, delete) */
+  a: T[];
+  /** Items from the second sequence (equal, insert) */
+  b: T[];
+}
+
+export interface Hunk {
+  /** 1-based line of the hunk in the original */
+  line: number;
+  /** Empty when the rewrite added the paragraph */
+  original: string;
+  /** Empty when the rewrite removed the paragraph */
+  rewritten: string;
+  /** Lint hits inside the original paragraph(s) */
+  hits: Hit[];
+  /** The hits the rewritten text no longer has */
+  resolved: Hit[];
+}
+
+export interface Review {
+  original: string;
+  parts: Array<{ text: string } | { hunk: number; sep: string }>;
+  hunks: Hunk[];
+}
+
+export function diffSequences<T>(a: T[], b: T[], key?: (item: T) => unknown): DiffRun<T>[];
+export function diffWords(before: string, after: string): Array<{ type: "equal" | "delete" | "insert"; text: string }>;
+/** Unified diff that `git apply` accepts; empty when the texts are equal */
+export function formatUnifiedDiff(
+  before: string,
+  after: string,
+  options?: { fromFile?: string; toFile?: string; context?: number }
+): string;
+/** One `@@ line N @@` block per changed paragraph with [-removed-] and {+added+} words */
+export function formatWordDiff(before: string, after: string, options?: LintOptions): string;
+export function resolvedHits(hits: Hit[], text: string, options?: LintOptions): Hit[];
+export function buildReview(original: string, rewritten: string, options?: LintOptions): Review;
+/** `choices[i]` is the text to use for hunk i, or null to keep the original */
+export function applyReview(review: Review, choices: Array<string | null>): string;
+export function verifyMeaning(input: string, output: string, options?: { markdown?: boolean }): Discrepancy[];
+export function describeDiscrepancy(discrepancy: Discrepancy): string;
+export function runRepairLoop(text: string, options?: PipelineOptions): Promise<PipelineResult>;
+export function getSystemPrompt(config?: Config): string;
+export function chat(
+  messages: ChatMessage[],
+  model?: string,
+  options?: {
+    provider?: Provider;
+    network?: NetworkOptions;
+    /** Token counts are recorded here under `phase` */
+    usage?: UsageTracker;
+    phase?: string;
+    onProgress?: (event: ProgressEvent) => void;
+    onToken?: (text: string) => void;
+  }
+): Promise<string>;
+
+/** Base class for model failures; `status` is the HTTP status when there was one */
+export class ProviderError extends Error {
+  constructor(message: string, options?: { status?: number; cause?: unknown });
+  status?: number;
+}
+/** 401/403 from the provider */
+export class AuthError extends ProviderError {}
+/** The account is out of quota or credit */
+export class QuotaError extends ProviderError {}
+/** The request is larger than the model's context window */
+export class ContextLengthError extends ProviderError {}
+/** A request or the whole call took longer than allowed */
+export class TimeoutError extends ProviderError {}
+/** Transient failures continued past the retry limit */
+export class RetryError extends ProviderError {}
+
+export const PROVIDERS: ProviderName[];
+export function createProvider(name?: ProviderName, options?: ProviderOptions): Provider;
+/** Wraps `provider` so every response is appended to `file` for the mock provider */
+export function recordResponses(provider: Provider, file: string): Provider;
+/** Wraps `provider` so identical requests are answered from disk */
+export function cacheResponses(provider: Provider, options?: CacheOptions): Provider;
+/** Deletes every cached response and returns how many there were */
+export function clearCache(dir?: string): number;
+export function defaultCacheDir(): string;
+
+export const PRICES: Record<string, Price>;
+export function createUsageTracker(prices?: Record<string, Price>): UsageTracker;
+
+export function collectFiles(inputs: string[], root?: string): { files: string[]; missing: string[] };
+export function isGlob(pattern: string): boolean;
+export function mapLimit<T, R>(items: T[], limit: number, fn: (item: T, index: number) => Promise<R>): Promise<R[]>;
+export const REPORT_FORMATS: ReportFormat[];
+export function aggregateScore(results: Array<{ score: number }>): number;
+export function formatReport(
+  results: FileResult[],
+  format: ReportFormat,
+  options?: { multi?: boolean; rules?: LintRule[] }
+): string;
+
+export interface BaselineEntry {
+  rule: string;
+  match: string;
+  fingerprint: string;
+  /** Identical hits in the file */
+  count: number;
+}
+export interface Baseline {
+  version: 1;
+  /** Entries keyed by file name */
+  files: Record<string, BaselineEntry[]>;
+}
+/** Stable across line moves: hashes the rule, the match and the text around it */
+export function fingerprintHit(hit: Hit): string;
+export function createBaseline(results: Array<{ file: string; hits: Hit[] }>): Baseline;
+/** Drops hits the baseline covers and rescores; `fixed` lists entries no hit matched */
+export function applyBaseline<T extends LintResult & { file: string }>(
+  results: T[],
+  baseline: Baseline,
+  options?: { scoring?: ScoringOptions }
+): { results: Array<T & { baselined: number }>; fixed: Record<string, BaselineEntry[]> };
+export function pruneBaseline(
+  baseline: Baseline,
+  fixed: Record<string, BaselineEntry[]>
+): { baseline: Baseline; removed: number };
+/** Throws with every problem listed */
+export function loadBaseline(file: string): Baseline;
@@ -0,0 +1,3900 @@
+/**
+ * AI Humanizer library
+ *
+ * Linting, autofix, rewriting and generation without the CLI. Nothing in
+ * here writes to the console or exits the process: progress is reported
+ * through the `onProgress` option and failures are thrown.
+ *
+ *   const { lint, rewriteText } = require("./index");
+ *   const { score, hits } = lint(fs.readFileSync("article.md", "utf8"));
+ *
+ * Types are in index.d.ts. The CLI (ai-writer.js) is a wrapper around this.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// ---------- Config ----------
+const DEFAULT_MODEL = process.env.AI_WRITER_MODEL || "gpt-4o";
+const MAX_LOOPS_DEFAULT = 3;
+const TEMPERATURE = 0.4;
+
+// =============================================================================
+// HUMANIZER RULESET
+// =============================================================================
+
+const RULES_SPEC = {
+  // -------------------------------------------------------------------------
+  // 1. TONE AND CONTENT: Concrete over Generic
+  // -------------------------------------------------------------------------
+  tone: {
+    name: "Tone and Content",
+    rules: [
+      {
+        id: "regression_to_mean",
+        description: "Eliminate smoothing specific details into generic praise",
+        bad: "A revolutionary titan of industry",
+        good: "Inventor of a train-coupling device",
+      },
+      {
+        id: "significance_inflation",
+        description: "Stop recasting ordinary facts as pivotal or grand",
+        bad: "This pivotal shift transformed the landscape",
+        good: "Sales increased 12% that quarter",
+      },
+      {
+        id: "puffery",
+        description: "Remove peacock words that add no information",
+        banned: [
+          "groundbreaking", "stunning", "breathtaking", "nestled", "visionary",
+          "renowned", "legendary", "iconic", "game-changing", "revolutionary",
+          "transformative", "cutting-edge", "world-class", "best-in-class",
+          "industry-leading", "unparalleled", "unprecedented", "remarkable",
+        ],
+      },
+      {
+        id: "coverage_chest_thumping",
+        description: "Don't list media outlets as proof without explaining what was said",
+        pattern: /featured in .*(wired|vogue|forbes|techcrunch|nyt|wsj)/i,
+      },
+      {
+        id: "superficial_analysis",
+        description: "Remove vague gerunds used to pad word count",
+        banned_gerunds: [
+          "underscoring", "highlighting", "reflecting", "indicating",
+          "showcasing", "demonstrating", "emphasizing", "illustrating",
+          "signaling", "revealing", "suggesting", "pointing to",
+        ],
+      },
+    ],
+  },
+
+  // -------------------------------------------------------------------------
+  // 2. VOCABULARY CONSTRAINTS (The Banned List)
+  // -------------------------------------------------------------------------
+  vocabulary: {
+    name: "Vocabulary Constraints",
+    rules: [
+      {
+        id: "banned_verbs_adjectives",
+        description: "Statistical tells of AI writing",
+        banned: [
+          "delve", "delves", "delving",
+          "tapestry", "tapestries",
+          "interplay",
+          "pivotal",
+          "underscores", "underscore", "underscored",
+          "highlights", "highlight", "highlighted",
+          "garnered", "garner", "garnering",
+          "enduring",
+          "align", "aligns", "aligned", "aligning",
+          "showcase", "showcases", "showcased", "showcasing",
+          "intricate", "intricately",
+          "nuanced", "nuance",
+          "multifaceted",
+          "comprehensive",
+          "robust",
+          "leverage", "leverages", "leveraged", "leveraging",
+          "utilize", "utilizes", "utilized", "utilizing",
+          "facilitate", "facilitates", "facilitated",
+          "seamless", "seamlessly",
+          "holistic",
+          "synergy", "synergies",
+          "paradigm",
+          "ecosystem",
+          "landscape",
+          "realm",
+          "sphere",
+          "arena",
+          "space", // when used as "in the X space"
+        ],
+        // Words that are only AI tells in their figurative sense. A listed word
+        // is flagged when a `before`/`after` pattern matches the text around it
+        // and no `allow` collocation covers it. `examples` is the test corpus:
+        // every `flag` sentence must be caught and every `pass` sentence not.
+        contexts: [
+          {
+            words: ["space"],
+            before: /\b(?:in|into|across|within|of|to)\s+the\s+(?:[\w-]+\s+){1,2}$/i,
+            allow: [/\b(?:disk|storage|memory|address|outer|white|name|office|parking|living|work|open|swap|color|colour|user|kernel|search|vector)\s+space\b/i],
+            examples: {
+              flag: ["She is a leader in the fintech space.", "We compete across the developer tools space."],
+              pass: ["The disk space ran out.", "Press the space bar.", "In the outer space of the solar system it is cold.", "Leave some space between lines."],
+            },
+          },
+          {
+            words: ["arena"],
+            before: /\b(?:in|into|on|across|within|to)\s+the\s+(?:[\w-]+\s+){0,2}$/i,
+            allow: [/\b(?:hockey|basketball|sports|ice|concert|football|indoor|outdoor|downtown|city)\s+arena\b/i],
+            examples: {
+              flag: ["He made his name in the political arena.", "The company moved into the AI arena."],
+              pass: ["The arena seats 18,000.", "We took the train to the hockey arena.", "A new arena opened downtown."],
+            },
+          },
+          {
+            words: ["sphere"],
+            before: /\b(?:in|into|within|across|of)\s+the\s+[\w-]+\s+$/i,
+            after: /^\s+of\s+(?:influence|control|interest|activity|life|work)\b/i,
+            examples: {
+              flag: ["The debate moved into the public sphere.", "Germany kept its sphere of influence."],
+              pass: ["Compute the volume of a sphere with radius 2.", "The sphere rolled off the table."],
+            },
+          },
+          {
+            words: ["align", "aligns", "aligned", "aligning"],
+            after: /^\s+(?:[\w-]+\s+){0,3}?(?:with|around|behind|on)\b/i,
+            allow: [
+              /\balign(?:s|ed|ing)?\s+(?:[\w-]+\s+){0,2}?(?:with|to)\s+the\s+(?:grid|baseline|edge|margin|left|right|top|bottom)\b/i,
+              /\balign(?:s|ed|ing)?\s+on\s+(?:the\s+)?(?:grid|baseline)\b/i,
+            ],
+            examples: {
+              flag: ["Our roadmap aligns with customer needs.", "We aligned the teams around one goal.", "The leads need to align on priorities."],
+              pass: ["Align the text left.", "The icons are aligned with the grid.", "Set align to center in the table cell."],
+            },
+          },
+          {
+            words: ["highlight", "highlights", "highlighted"],
+            before: /\b(?:this|which|it|that|report|study|data|survey|results?|findings?|example|case|paper)\s+$/i,
+            after: /^\s+(?:the\s+|a\s+|an\s+)?(?:importance|need|role|value|fact|significance|challenges?|potential|benefits?|risks?|ways?|how|why|what|that|its|their|our|his|her|these|key|critical|growing|urgent)\b/i,
+            allow: [
+              /\bhighlight(?:s|ed)?\s+(?:in|with)\s+(?:yellow|red|green|blue|orange|pink|bold)\b/i,
+              /\bhighlight(?:s|ed)?\s+the\s+(?:text|selection|line|row|cell|word|code|paragraph)\b/i,
+            ],
+            examples: {
+              flag: ["This highlights the importance of testing.", "The report highlights growing risks.", "It highlighted how fragile the build was."],
+              pass: ["Highlight the text and press Ctrl+B.", "Errors are highlighted in red.", "The highlights of the game aired at ten."],
+            },
+          },
+        ],
+        // Plain replacements that are safe in every context, used by --fix
+        substitutions: {
+          utilize: "use", utilizes: "uses", utilized: "used", utilizing: "using",
+          leverages: "uses", leveraged: "used", leveraging: "using",
+          showcase: "show", showcases: "shows", showcased: "showed", showcasing: "showing",
+          delve: "dig", delves: "digs", delving: "digging",
+          seamlessly: "smoothly",
+        },
+      },
+      {
+        id: "banned_transitions",
+        description: "Formulaic transition phrases",
+        banned: [
+          "it is important to note",
+          "it's important to note",
+          "it is worth noting",
+          "it's worth noting",
+          "in summary",
+          "in conclusion",
+          "to summarize",
+          "moreover",
+          "furthermore",
+          "additionally",
+          "in today's world",
+          "in this day and age",
+          "at the end of the day",
+          "when it comes to",
+          "needless to say",
+          "it goes without saying",
+          "as we all know",
+          "interestingly",
+          "notably",
+          "importantly",
+          "crucially",
+          "significantly",
+        ],
+      },
+      {
+        id: "negative_parallelism",
+        description: "Not only X, but also Y patterns",
+        patterns: [
+          /not only\s+.{1,80}\s+but\s+(also\s+)?/gi,
+          /\bit(?:['’]?s| is) not just\s+.{1,60}?\s+it(?:['’]?s| is)\b/gi,
+        ],
+      },
+      {
+        id: "false_scale",
+        description: "From X to Y without a coherent scale",
+        pattern: /from\s+\w+\s+to\s+\w+/gi,
+        note: "Flag for review unless literal scale",
+      },
+    ],
+  },
+
+  // -------------------------------------------------------------------------
+  // 3. STRUCTURE AND FLOW
+  // -------------------------------------------------------------------------
+  structure: {
+    name: "Structure and Flow",
+    rules: [
+      {
+        id: "formulaic_endings",
+        description: "Humans rarely summarize short text at the end",
+        patterns: [
+          /^in (summary|conclusion),?\s/im,
+          /^to (sum up|summarize|conclude),?\s/im,
+          /^(overall|ultimately|finally),?\s.{0,30}(this|these|the)\s/im,
+        ],
+      },
+      {
+        id: "future_boilerplate",
+        description: "Vague future outlook without specific plans",
+        patterns: [
+          /despite.{0,30}challenges?.{0,30}future.{0,30}(bright|promising)/i,
+          /future initiatives will/i,
+          /going forward,?\s/i,
+          /moving forward,?\s/i,
+          /as we move into/i,
+          /poised (to|for)/i,
+        ],
+      },
+      {
+        id: "rule_of_three",
+        description: "Listing exactly three items to sound comprehensive",
+        pattern: /(\w+),\s+(\w+),?\s+and\s+(\w+)/g,
+        note: "Flag suspicious triads for review",
+        severity: "low",
+      },
+      {
+        id: "elegant_variation",
+        description: "Complex synonyms to avoid word repetition",
+        note: "Prefer simple and clear over varied vocabulary",
+        // Three or more members of one group in a paragraph is flagged
+        synonym_groups: [
+          ["company", "firm", "organization", "enterprise", "outfit"],
+          ["said", "stated", "remarked", "noted", "observed", "commented"],
+          ["city", "metropolis", "municipality", "urban center"],
+          ["car", "vehicle", "automobile"],
+          ["problem", "issue", "challenge", "obstacle", "hurdle"],
+          ["customer", "client", "patron", "consumer"],
+          ["tool", "instrument", "utility", "solution"],
+          ["increase", "rise", "growth", "surge", "uptick"],
+        ],
+      },
+    ],
+  },
+
+  // -------------------------------------------------------------------------
+  // 4. FORMATTING AND MECHANICS
+  // -------------------------------------------------------------------------
+  formatting: {
+    name: "Formatting and Mechanics",
+    rules: [
+      {
+        id: "em_dash_overuse",
+        description: "Use commas, periods, or parentheses instead",
+        pattern: /—/g,
+        replacement: ", ",
+      },
+      {
+        id: "quote_consistency",
+        description: "Don't mix curly and straight quotes",
+        patterns: [/[“”]/g, /[‘’]/g],
+      },
+      {
+        id: "title_case_headings",
+        description: "Use sentence case, not Title Case",
+        note: "History of the region, not History of the Region",
+      },
+      {
+        id: "bold_emphasis",
+        description: "Don't use bold for emphasis in paragraphs",
+        pattern: /\*\*[^*]+\*\*/g,
+      },
+      {
+        id: "inline_header_bullets",
+        description: "No **Header:** Value patterns",
+        pattern: /\*\*\w+:\*\*\s/g,
+      },
+      {
+        id: "emoji_in_headings",
+        description: "Remove emojis from headings and lists",
+        // Flag pairs, pictographs through the 2020s additions, and the older symbol and dingbat blocks
+        pattern: /[\u{1F1E6}-\u{1F1FF}]{1,2}|[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}]/gu,
+      },
+      {
+        id: "chatbot_leakage",
+        description: "Remove assistant artifacts",
+        patterns: [
+          /i hope this helps/i,
+          /as of my last update/i,
+          /as an ai/i,
+          /i don't have access to/i,
+          /i cannot browse/i,
+          /let me know if/i,
+          /feel free to ask/i,
+          /happy to help/i,
+        ],
+      },
+      {
+        id: "vague_citations",
+        description: "Flag unverifiable sources",
+        patterns: [
+          /observers say/i,
+          /industry reports/i,
+          /experts say/i,
+          /studies show/i,
+          /research indicates/i,
+          /according to sources/i,
+          /many believe/i,
+          /some argue/i,
+        ],
+      },
+      {
+        id: "date_cutoff",
+        description: "Remove AI date disclaimers",
+        pattern: /as of \w+ \d{4}/i,
+      },
+    ],
+  },
+};
+
+// =============================================================================
+// MARKDOWN PREPROCESSING
+// =============================================================================
+
+// Everything that isn't prose is blanked out with spaces rather than removed,
+// so a match in the masked text sits at the same line and column as in the
+// original file.
+
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+/;
+const HTML_BLOCK_OPEN = /^ {0,3}<(pre|script|style|textarea)\b/i;
+
+// Inline code span between matching backtick runs
+const INLINE_CODE = /(`+)(?!`)[\s\S]*?(?<!`)\1(?!`)/g;
+
+function blank(str) {
+  return str.replace(/[^\s]/g, " ");
+}
+
+function maskInline(line) {
+  let out = line;
+  const maskAll = (pattern) => {
+    out = out.replace(pattern, (m) => blank(m));
+  };
+  const maskGroup = (pattern, group) => {
+    out = out.replace(pattern, (...args) => {
+      const m = args[0];
+      const part = args[group];
+      const offset = m.indexOf(part);
+      return m.slice(0, offset) + blank(part) + m.slice(offset + part.length);
+    });
+  };
+
+  // Code spans first: nothing inside them is Markdown
+  maskAll(INLINE_CODE);
+  maskAll(/<!--[\s\S]*?-->/g);
+  // Images (alt text included) and link destinations
+  maskAll(/!\[[^\]]*\]\([^)]*\)/g);
+  maskAll(/!\[[^\]]*\]\[[^\]]*\]/g);
+  maskGroup(/\]\(([^)]*)\)/g, 1);
+  maskGroup(/^( {0,3}\[[^\]]+\]:\s*)(\S.*)$/g, 2);
+  // Autolinks, HTML tags and bare URLs
+  maskAll(/<(?:https?|ftp|mailto):[^\s<>]*>/gi);
+  maskAll(/<[^\s@<>]+@[^\s@<>]+>/g);
+  maskAll(/<\/?[A-Za-z][\w-]*(?:\s[^<>]*)?\/?>/g);
+  maskAll(/\b(?:https?|ftp):\/\/[^\s<>)\]]+/gi);
+
+  return out;
+}
+
+function maskMarkdown(text) {
+  const lines = text.split(/\r?\n/);
+  const masked = [];
+  const blocks = [];
+  let i = 0;
+
+  const push = (line, block) => {
+    masked.push(line);
+    blocks.push(block);
+  };
+
+  // YAML (---) or TOML (+++) front matter at the very top
+  const fm = lines[0] && lines[0].match(/^(---|\+\+\+)\s*$/);
+  if (fm) {
+    const close = fm[1] === "---" ? /^(---|\.\.\.)\s*$/ : /^\+\+\+\s*$/;
+    const end = lines.findIndex((l, idx) => idx > 0 && close.test(l));
+    if (end > 0) {
+      for (; i <= end; i++) push(blank(lines[i]), "frontmatter");
+    }
+  }
+
+  let fence = null;
+  let htmlBlockEnd = null;
+  let inComment = false;
+  let inTable = false;
+  let inList = false;
+  let prevBlank = true;
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    const isBlank = line.trim() === "";
+
+    if (fence) {
+      push(blank(line), "code");
+      const close = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+      if (close && close[1][0] === fence[0] && close[1].length >= fence.length) fence = null;
+      continue;
+    }
+
+    if (htmlBlockEnd) {
+      push(blank(line), "html");
+      if (htmlBlockEnd.test(line)) htmlBlockEnd = null;
+      continue;
+    }
+
+    if (inComment) {
+      const end = line.indexOf("-->");
+      if (end === -1) {
+        push(blank(line), "html");
+        continue;
+      }
+      inComment = false;
+      const rest = line.slice(end + 3);
+      push(blank(line.slice(0, end + 3)) + maskInline(rest), "paragraph");
+      prevBlank = false;
+      continue;
+    }
+
+    const open = line.match(FENCE_OPEN);
+    if (open) {
+      fence = open[1];
+      push(blank(line), "code");
+      continue;
+    }
+
+    const htmlOpen = line.match(HTML_BLOCK_OPEN);
+    if (htmlOpen) {
+      const end = new RegExp(`</${htmlOpen[1]}>`, "i");
+      push(blank(line), "html");
+      if (!end.test(line)) htmlBlockEnd = end;
+      continue;
+    }
+
+    if (!isBlank && prevBlank && !inList && /^( {4}|\t)/.test(line)) {
+      push(blank(line), "code");
+      continue;
+    }
+    if (blocks[blocks.length - 1] === "code" && !isBlank && /^( {4}|\t)/.test(line)) {
+      push(blank(line), "code");
+      continue;
+    }
+
+    let block = "paragraph";
+    if (isBlank) {
+      block = "blank";
+      inTable = false;
+    } else if (/^ {0,3}#{1,6}(\s|$)/.test(line)) {
+      block = "heading";
+    } else if (/^ {0,3}>/.test(line)) {
+      block = "blockquote";
+    } else if (inTable || (line.includes("|") && TABLE_DELIMITER.test(lines[i + 1] || ""))) {
+      block = "table";
+      inTable = line.includes("|");
+    } else if (LIST_ITEM.test(line)) {
+      block = "list";
+    } else if (/^ {0,3}(=+|-+)\s*$/.test(line) && !prevBlank) {
+      // Setext underline: the previous line was a heading, not a paragraph
+      block = "heading";
+      if (blocks[blocks.length - 1] === "paragraph") blocks[blocks.length - 1] = "heading";
+    }
+
+    if (block === "list") inList = true;
+    else if (!isBlank && !/^\s/.test(line)) inList = false;
+    else if (inList && block === "paragraph") block = "list";
+
+    let prose = maskInline(line);
+    const commentStart = prose.indexOf("<!--");
+    if (commentStart !== -1) {
+      prose = prose.slice(0, commentStart) + blank(prose.slice(commentStart));
+      inComment = true;
+    }
+
+    push(prose, block);
+    prevBlank = isBlank;
+  }
+
+  return { lines: masked, blocks };
+}
+
+// Groups masked lines into paragraphs with soft line breaks unwrapped, so
+// rules can match phrases that a hard-wrapped file splits across lines.
+// Headings and table rows stay one line each; every list item starts a new
+// paragraph. `segments` maps offsets in `text` back to file positions.
+function buildParagraphs(maskedLines, blocks = []) {
+  const paragraphs = [];
+  let current = null;
+
+  const close = () => {
+    if (current) paragraphs.push(current);
+    current = null;
+  };
+
+  maskedLines.forEach((masked, lineIdx) => {
+    const block = blocks[lineIdx];
+    let content = masked;
+    if (block === "blockquote") content = content.replace(/^\s*(?:>\s?)+/, (m) => " ".repeat(m.length));
+    if (!content.trim() || ["code", "html", "frontmatter", "blank"].includes(block)) {
+      close();
+      return;
+    }
+
+    const startsNew =
+      !current ||
+      current.block !== block ||
+      block === "heading" ||
+      block === "table" ||
+      (block === "list" && LIST_ITEM.test(masked));
+    if (startsNew) {
+      close();
+      current = { block, text: "", segments: [] };
+    }
+
+    const indent = content.length - content.trimStart().length;
+    if (current.text) current.text += " ";
+    current.segments.push({ lineIdx, offset: current.text.length, column: indent });
+    current.text += content.slice(indent);
+  });
+  close();
+
+  return paragraphs;
+}
+
+// Paragraph offset -> 1-based { line, column } in the original file
+function locate(para, offset) {
+  let seg = para.segments[0];
+  for (const s of para.segments) {
+    if (s.offset > offset) break;
+    seg = s;
+  }
+  return { line: seg.lineIdx + 1, column: seg.column + Math.max(0, offset - seg.offset) + 1 };
+}
+
+// The original text covered by a paragraph, joined the same way as `text`
+function originalText(para, lines) {
+  return para.segments
+    .map((seg, idx) => {
+      const next = para.segments[idx + 1];
+      const length = (next ? next.offset - 1 : para.text.length) - seg.offset;
+      return lines[seg.lineIdx].slice(seg.column, seg.column + length);
+    })
+    .join(" ");
+}
+
+// =============================================================================
+// LINTER IMPLEMENTATION
+// =============================================================================
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+const EM_DASH_LIMIT = 3; // per 1,000 words
+const SUMMARY_REUSE_RATIO = 0.75;
+
+const MONTHS = [
+  "january", "february", "march", "april", "may", "june", "july",
+  "august", "september", "october", "november", "december",
+];
+const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+// Words that make "from X to Y" a literal range or a literal move
+const LITERAL_ENDS = [...MONTHS, ...WEEKDAYS, "\\d+\\w*", "[a-z]", "start", "finish", "end", "top", "bottom", "left", "right"];
+const LITERAL_MOVES = [
+  "moved?", "moving", "migrat(?:e|ed|ing)", "upgrad(?:e|ed|ing)", "went", "go(?:es|ing)?", "switch(?:ed|ing)?",
+  "chang(?:e|ed|ing)", "convert(?:ed|ing)?", "r[oi]se", "rising", "f[ae]ll", "falling", "grew", "grow(?:s|ing)?",
+  "increased?", "decreased?", "dropped", "travell?ed", "drove", "flew", "shifted", "ranges?", "ranging",
+];
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// An apostrophe in a listed phrase matches a curly one too
+function alternation(words) {
+  return words.map((word) => escapeRegExp(word).replace(/['’]/g, "['’]")).join("|");
+}
+
+// The word lists behind the regex rules, with a config's add/remove edits applied
+function resolveWordLists(edits = {}) {
+  const lists = {
+    puffery: RULES_SPEC.tone.rules.find((r) => r.id === "puffery").banned,
+    gerunds: RULES_SPEC.tone.rules.find((r) => r.id === "superficial_analysis").banned_gerunds,
+    banned: RULES_SPEC.vocabulary.rules.find((r) => r.id === "banned_verbs_adjectives").banned,
+    transitions: RULES_SPEC.vocabulary.rules.find((r) => r.id === "banned_transitions").banned,
+  };
+
+  Object.keys(lists).forEach((key) => {
+    const { add = [], remove = [] } = edits[key] || {};
+    const removed = new Set(remove.map((w) => w.toLowerCase()));
+    const words = lists[key].filter((w) => !removed.has(w.toLowerCase()));
+    add.forEach((w) => {
+      if (!words.some((existing) => existing.toLowerCase() === w.toLowerCase())) words.push(w);
+    });
+    lists[key] = words;
+  });
+
+  return lists;
+}
+
+// Maps each lowercased word to its context conditions
+function buildContextMap(contexts) {
+  const map = {};
+  contexts.forEach((ctx) => {
+    ctx.words.forEach((word) => {
+      map[word.toLowerCase()] = ctx;
+    });
+  });
+  return map;
+}
+
+// Config contexts arrive as regex source strings
+function compileContext({ before, after, allow = [] }) {
+  return {
+    before: before ? new RegExp(`(?:${before})$`, "i") : undefined,
+    after: after ? new RegExp(`^(?:${after})`, "i") : undefined,
+    allow: allow.map((a) => new RegExp(a, "i")),
+  };
+}
+
+// True when a match should be reported given the text around it. Words
+// without a context entry always are.
+function matchesContext(contexts, line, index, length) {
+  const ctx = contexts[line.slice(index, index + length).toLowerCase()] || contexts["*"];
+  if (!ctx) return true;
+
+  const covered = (ctx.allow || []).some((pattern) => {
+    const re = new RegExp(pattern.source, pattern.flags.includes("g") ? pattern.flags : `${pattern.flags}g`);
+    for (const m of line.matchAll(re)) {
+      if (m.index <= index && m.index + m[0].length >= index + length) return true;
+    }
+    return false;
+  });
+  if (covered) return false;
+
+  if (!ctx.before && !ctx.after) return true;
+  return Boolean(
+    (ctx.before && ctx.before.test(line.slice(0, index))) || (ctx.after && ctx.after.test(line.slice(index + length)))
+  );
+}
+
+function buildRegexRules(config = {}) {
+  const rules = [];
+  const words = resolveWordLists(config.words);
+  const substitutions = RULES_SPEC.vocabulary.rules.find((r) => r.id === "banned_verbs_adjectives").substitutions;
+  const emDash = RULES_SPEC.formatting.rules.find((r) => r.id === "em_dash_overuse");
+  const vocabContexts = RULES_SPEC.vocabulary.rules.find((r) => r.id === "banned_verbs_adjectives").contexts;
+  const parallelism = RULES_SPEC.vocabulary.rules.find((r) => r.id === "negative_parallelism");
+  const emoji = RULES_SPEC.formatting.rules.find((r) => r.id === "emoji_in_headings");
+
+  // Tone rules
+  if (words.puffery.length > 0) {
+    rules.push({
+      id: "puffery",
+      category: "tone",
+      pattern: new RegExp(`\\b(${alternation(words.puffery)})\\b`, "gi"),
+      description: "Peacock word (adds no information)",
+      severity: "high",
+      // Built-in examples only hold for the built-in word list
+      examples: config.words?.puffery
+        ? undefined
+        : {
+            flag: ["The groundbreaking study found nothing.", "A world-class team of three."],
+            pass: ["The study found nothing new.", "A team of three engineers."],
+          },
+    });
+  }
+
+  if (words.gerunds.length > 0) {
+    rules.push({
+      id: "superficial_gerund",
+      category: "tone",
+      pattern: new RegExp(`,\\s*(${alternation(words.gerunds)})\\b`, "gi"),
+      description: "Vague gerund padding",
+      severity: "high",
+      examples: config.words?.gerunds
+        ? undefined
+        : {
+            flag: ["Sales rose 4%, highlighting the demand.", "The test failed twice, underscoring the risk."],
+            pass: ["Highlighting text works in every editor.", "Sales rose 4% in March."],
+          },
+    });
+  }
+
+  rules.push({
+    id: "coverage_chest_thumping",
+    category: "tone",
+    pattern: /featured in\s+.{0,50}(wired|vogue|forbes|techcrunch|new york times|wsj|wall street journal)/gi,
+    description: "Media name-dropping without context",
+    severity: "medium",
+    examples: {
+      flag: ["The app was featured in Wired and Forbes."],
+      pass: ["Wired reviewed the app in May and called the setup slow."],
+    },
+  });
+
+  // Vocabulary rules
+  if (words.banned.length > 0) {
+    // The context corpus still holds for context words left on an edited list
+    const banned = new Set(words.banned.map((w) => w.toLowerCase()));
+    const corpus = vocabContexts.filter((ctx) => ctx.words.every((w) => banned.has(w)));
+    rules.push({
+      id: "banned_vocabulary",
+      category: "vocabulary",
+      pattern: new RegExp(`\\b(${alternation(words.banned)})\\b`, "gi"),
+      description: "AI vocabulary tell",
+      severity: "high",
+      examples: config.words?.banned
+        ? { flag: corpus.flatMap((ctx) => ctx.examples.flag), pass: corpus.flatMap((ctx) => ctx.examples.pass) }
+        : {
+            flag: [
+              "We delve into the logs.",
+              "A robust, seamless setup.",
+              // A directive shown in a code span doesn't suppress anything
+              "Write `<!-- ai-writer-disable-file -->` to delve less.",
+              ...vocabContexts.flatMap((ctx) => ctx.examples.flag),
+            ],
+            pass: ["We read the logs.", "The setup took an hour.", ...vocabContexts.flatMap((ctx) => ctx.examples.pass)],
+          },
+      contexts: buildContextMap(vocabContexts),
+      fix: substituteWord(substitutions),
+    });
+  }
+
+  if (words.transitions.length > 0) {
+    rules.push({
+      id: "banned_transition",
+      category: "vocabulary",
+      pattern: new RegExp(`\\b(${alternation(words.transitions)})`, "gi"),
+      description: "Formulaic transition",
+      severity: "medium",
+      examples: config.words?.transitions
+        ? undefined
+        : {
+            flag: ["Moreover, the build is slow.", "It’s worth noting that the cache is cold."],
+            pass: ["The build is slow, and the cache is cold.", "Notable people attended."],
+            fix: [
+              ["Moreover, the build is slow.", "The build is slow."],
+              ["Moreover,\nthe build is slow.", "The build is slow."],
+              ["It’s worth noting that\nthe cache is cold.", "The cache is cold."],
+              ["Moreover, `npm` install is slow.", "`npm` install is slow."],
+              ["Moreover, 2 new flags ship today.", "2 new flags ship today."],
+              ["Moreover, [iOS](https://example.com/ios) builds pass.", "[iOS](https://example.com/ios) builds pass."],
+              ["Moreover, https://example.com is down.", "https://example.com is down."],
+            ],
+          },
+      fix: deleteLeadingPhrase,
+    });
+  }
+
+  rules.push({
+    id: "not_only_but",
+    category: "vocabulary",
+    pattern: /not only\s+.{1,80}\s+but\s+(also\s+)?/gi,
+    description: "Negative parallelism pattern",
+    severity: "high",
+    examples: {
+      flag: ["It is not only fast but also cheap."],
+      pass: ["It is fast and cheap.", "Not only that."],
+    },
+  });
+
+  rules.push({
+    id: "its_not_just",
+    category: "vocabulary",
+    pattern: new RegExp(parallelism.patterns[1].source, "gi"),
+    description: "It's not just... it's pattern",
+    severity: "high",
+    examples: {
+      flag: ["It's not just a tool, it's a platform.", "It’s not just a tool, it’s a platform.", "It is not just a library, it is a way of working."],
+      pass: ["It's not just me who noticed.", "It is just a tool."],
+    },
+  });
+
+  rules.push({
+    id: "false_scale",
+    category: "vocabulary",
+    // Numbers, dates and movement ("moved from Boston to Denver") are literal
+    // scales; "from time to time" and other repeated words are idioms
+    pattern: new RegExp(
+      `(?<!\\b(?:${LITERAL_MOVES.join("|")})\\s+)\\bfrom\\s+(?!(?:${LITERAL_ENDS.join("|")})\\b)([a-z]+)\\s+to\\s+(?!(?:${LITERAL_ENDS.join("|")})\\b)(?!\\1\\b)[a-z]+\\b`,
+      "gi"
+    ),
+    description: "From X to Y without a coherent scale",
+    severity: "low",
+    examples: {
+      flag: ["We serve everyone from startups to enterprises."],
+      pass: [
+        "Prices range from 5 to 10 dollars.",
+        "She moved from Boston to Denver.",
+        "Open from Monday to Friday.",
+        "We check the logs from time to time.",
+      ],
+    },
+  });
+
+  // Structure rules
+  rules.push({
+    id: "formulaic_ending",
+    category: "structure",
+    // Sentence-initial anywhere in a paragraph, not just at the start of a line
+    pattern: /(?<=^\s*|[.!?]["')\]]?\s+)(in (summary|conclusion)|to (sum up|summarize|conclude)|overall|ultimately),?\s/gi,
+    description: "Formulaic ending",
+    severity: "high",
+    examples: {
+      flag: ["In conclusion, the tests pass.", "The tests pass. Ultimately, this matters."],
+      pass: ["The conclusion of the report is short.", "The overall score rose."],
+    },
+  });
+
+  rules.push({
+    id: "future_boilerplate",
+    category: "structure",
+    pattern: /(despite.{0,30}challenges?.{0,30}future|future initiatives will|going forward|moving forward|poised (to|for))/gi,
+    description: "Future outlook boilerplate",
+    severity: "medium",
+    examples: {
+      flag: ["Going forward, we will ship weekly.", "The company is poised for growth."],
+      pass: ["We will ship weekly starting in May."],
+    },
+    fix: deleteLeadingPhrase,
+  });
+
+  rules.push({
+    id: "rule_of_three",
+    category: "structure",
+    pattern: new RegExp(RULES_SPEC.structure.rules.find((r) => r.id === "rule_of_three").pattern.source, "gi"),
+    description: "Suspicious triad (rule of three)",
+    severity: "low",
+    examples: {
+      flag: ["We value speed, quality, and trust."],
+      pass: ["We value speed and quality."],
+    },
+    blocks: ["paragraph", "list", "blockquote"],
+  });
+
+  rules.push({
+    id: "elegant_variation",
+    category: "structure",
+    detect: detectElegantVariation(RULES_SPEC.structure.rules.find((r) => r.id === "elegant_variation").synonym_groups),
+    description: "Elegant variation (synonyms cycled for one idea)",
+    severity: "low",
+    examples: {
+      flag: ["The company grew. The firm hired ten people. The enterprise moved offices."],
+      pass: ["The company grew. The company hired ten people.", "The company grew.\n\nThe firm hired ten people.\n\nThe enterprise moved offices."],
+    },
+  });
+
+  // Formatting rules
+  rules.push({
+    id: "em_dash",
+    category: "formatting",
+    detect: detectEmDashDensity(config.emDashesPer1000Words ?? EM_DASH_LIMIT),
+    description: "Em dash overuse (use comma or period)",
+    severity: "medium",
+    examples: {
+      flag: ["The fix — a one-line change — shipped today."],
+      pass: ["The fix, a one-line change, shipped today."],
+    },
+    // The finding covers the document, so --fix replaces every dash
+    fixTargets: findEmDashes,
+    fix: replaceDash(emDash.replacement),
+  });
+
+  rules.push({
+    id: "chatbot_leakage",
+    category: "formatting",
+    pattern: /(i hope this helps|as of my last update|as an ai|let me know if|feel free to ask|happy to help)/gi,
+    description: "Chatbot leakage",
+    severity: "critical",
+    examples: {
+      flag: ["I hope this helps!", "Let me know if you have questions."],
+      pass: ["The help page lists every flag."],
+      fix: [
+        ["Version 2.0 ships today. I hope this helps!", "Version 2.0 ships today."],
+        ["I hope this helps with 2.0. Version 2.0 ships today.", "Version 2.0 ships today."],
+        ["We moved to v2.0 early. Let me know if it breaks.", "We moved to v2.0 early."],
+        ["Let me know if the\nbuild breaks.", "Let me know if the\nbuild breaks."],
+        ["The build is fast, and\nI hope this helps.", "The build is fast, and\nI hope this helps."],
+      ],
+    },
+    fix: deleteSentence,
+  });
+
+  rules.push({
+    id: "vague_citation",
+    category: "formatting",
+    pattern: /(observers say|industry reports|experts say|studies show|research indicates|according to sources|many believe|some argue)/gi,
+    description: "Vague/unverifiable citation",
+    severity: "medium",
+    examples: {
+      flag: ["Studies show that sleep matters.", "Experts say the market will grow."],
+      pass: ["A 2019 study of 2,000 adults found that sleep matters."],
+    },
+  });
+
+  rules.push({
+    id: "bold_emphasis",
+    category: "formatting",
+    // **Header:** bullets are inline_header_bullets, not emphasis
+    pattern: /\*\*[^*]+(?<!:)\*\*(?!:)/g,
+    description: "Bold emphasis in paragraph",
+    severity: "low",
+    examples: {
+      flag: ["This is **very** important."],
+      pass: ["- **Name:** value", "Use `**word**` for bold."],
+    },
+    blocks: ["paragraph", "list", "blockquote"],
+  });
+
+  rules.push({
+    id: "emoji",
+    category: "formatting",
+    pattern: new RegExp(emoji.pattern.source, "gu"),
+    description: "Emoji in text",
+    severity: "low",
+    examples: {
+      flag: ["Ship it 🚀", "Made in 🇩🇪", "Done ✅", "So tired 🫠"],
+      pass: ["Ship it today.", "Arrows → and ← are fine."],
+    },
+  });
+
+  rules.push({
+    id: "inline_header_bullets",
+    category: "formatting",
+    pattern: /(?<=^\s*(?:(?:[-*+]|\d+[.)])\s+)?)\*\*[^*]{1,40}?(?::\*\*|\*\*:)(?=\s)/g,
+    description: "Inline **Header:** value bullet",
+    severity: "medium",
+    examples: {
+      flag: ["- **Speed:** fast", "**Note:** read this first."],
+      pass: ["- Speed: fast", "This is **bold** text."],
+    },
+    blocks: ["paragraph", "list"],
+  });
+
+  rules.push({
+    id: "title_case_headings",
+    category: "formatting",
+    detect: detectTitleCase,
+    description: "Title Case heading (use sentence case)",
+    severity: "low",
+    examples: {
+      flag: ["# The Best Way To Cache Data"],
+      pass: ["# The best way to cache data", "# Release notes for v2"],
+    },
+  });
+
+  rules.push({
+    id: "quote_consistency",
+    category: "formatting",
+    detect: detectMixedQuotes,
+    description: "Mixed curly and straight quotes",
+    severity: "low",
+    examples: {
+      flag: ["He said \"yes\" and she said “no”."],
+      pass: [
+        "He said \"yes\" and she said \"no\".",
+        "He said “yes” and she said “no”.",
+        "It's here, and she said “no”.",
+        "It’s here, and she said \"no\".",
+      ],
+    },
+  });
+
+  rules.push({
+    id: "date_cutoff",
+    category: "formatting",
+    pattern: /\b(as of (?:(?:early|mid|late)[- ])?(?:[a-z]+ )?\d{4}\b|(?:my )?(?:knowledge|training)[- ](?:data )?cut-?off)/gi,
+    description: "AI date disclaimer",
+    severity: "medium",
+    examples: {
+      flag: ["As of March 2023, the API is free.", "My knowledge cutoff is 2021."],
+      pass: ["The API has been free since March 2023."],
+    },
+  });
+
+  rules.push({
+    id: "summary_ending",
+    category: "structure",
+    detect: detectSummaryEnding,
+    description: "Final paragraph summarizes the preceding ones",
+    severity: "medium",
+    examples: {
+      flag: ["The cache stores model responses on disk for a week.\n\nRequests with the same prompt skip the network entirely.\n\nThe cache stores model responses on disk, so requests with the same prompt skip the network."],
+      pass: ["The cache stores model responses on disk for a week.\n\nRequests with the same prompt skip the network entirely.\n\nClear it with the cache clear command when prompts change."],
+    },
+  });
+
+  (config.customRules || []).forEach((custom) => {
+    const flags = custom.flags || "gi";
+    rules.push({
+      id: custom.id,
+      category: custom.category || "custom",
+      pattern: new RegExp(custom.pattern, flags.includes("g") ? flags : `${flags}g`),
+      description: custom.description,
+      severity: custom.severity || "medium",
+      fix: typeof custom.replacement === "string" ? replaceWith(custom.replacement) : undefined,
+      contexts: custom.context ? { "*": compileContext(custom.context) } : undefined,
+      examples: custom.examples,
+    });
+  });
+
+  // "off" drops a rule, a severity name overrides its default
+  const overrides = config.rules || {};
+  return rules
+    .filter((rule) => overrides[rule.id] !== "off")
+    .map((rule) => (overrides[rule.id] ? { ...rule, severity: overrides[rule.id] } : rule));
+}
+
+// ---------- Document-level detectors ----------
+
+// Detectors see the whole document ({ lines, masked, blocks }) and return
+// { line, column, match } locations; lint() fills in the rest of the hit.
+
+const SMALL_WORDS = [
+  "a", "an", "the", "and", "but", "or", "nor", "for", "so", "yet",
+  "as", "at", "by", "in", "of", "off", "on", "per", "to", "up", "via",
+  "from", "into", "onto", "with", "over", "than", "vs", "is", "are",
+];
+
+function isHeadingLine(doc, idx) {
+  if (doc.blocks.length > 0) return doc.blocks[idx] === "heading";
+  return /^ {0,3}#{1,6}\s/.test(doc.lines[idx]);
+}
+
+function detectTitleCase(doc) {
+  const found = [];
+  doc.masked.forEach((masked, idx) => {
+    if (!isHeadingLine(doc, idx)) return;
+    const text = masked.replace(/^ {0,3}#{1,6}\s+/, "").replace(/\s#+\s*$/, "");
+    const words = [...text.matchAll(/[A-Za-z][\w'’-]*/g)];
+    // Acronyms, camelCase names and small words say nothing about the heading's case
+    const significant = words
+      .slice(1)
+      .filter(([w]) => !SMALL_WORDS.includes(w.toLowerCase()) && w !== w.toUpperCase() && !/[a-z][A-Z]/.test(w));
+    if (significant.length < 2 || !significant.every(([w]) => /^[A-Z]/.test(w))) return;
+    const start = masked.indexOf(text.trim());
+    found.push({ line: idx + 1, column: start + 1, match: text.trim() });
+  });
+  return found;
+}
+
+// Apostrophes between two letters ("it's", "it’s") are not quotes
+const CURLY_QUOTE = /[“”‘]|(?<!\p{L})’|’(?!\p{L})/gu;
+const STRAIGHT_QUOTE = /"|(?<!\p{L})'|'(?!\p{L})/gu;
+
+// Flags the less common quote style when curly and straight quotes are mixed
+function detectMixedQuotes(doc) {
+  const curly = [];
+  const straight = [];
+  doc.masked.forEach((masked, idx) => {
+    for (const m of masked.matchAll(CURLY_QUOTE)) curly.push({ line: idx + 1, column: m.index + 1, match: m[0] });
+    for (const m of masked.matchAll(STRAIGHT_QUOTE)) straight.push({ line: idx + 1, column: m.index + 1, match: m[0] });
+  });
+  if (curly.length === 0 || straight.length === 0) return [];
+  return curly.length <= straight.length ? curly : straight;
+}
+
+// A paragraph that cycles through three or more words from the same synonym
+// group is dressing up repetition; every variant after the first is flagged.
+function detectElegantVariation(groups) {
+  const patterns = groups.map((group) => new RegExp(`\\b(${alternation(group)})(s|es)?\\b`, "gi"));
+
+  return (doc) => {
+    const found = [];
+    doc.paragraphs
+      .filter((para) => !para.block || ["paragraph", "list", "blockquote"].includes(para.block))
+      .forEach((para) => {
+        patterns.forEach((pattern) => {
+          const firstUse = new Map();
+          for (const m of para.text.matchAll(pattern)) {
+            const variant = m[1].toLowerCase();
+            if (!firstUse.has(variant)) firstUse.set(variant, { ...locate(para, m.index), match: m[0] });
+          }
+          if (firstUse.size >= 3) found.push(...[...firstUse.values()].slice(1));
+        });
+      });
+    return found;
+  };
+}
+
+function countWords(maskedLines) {
+  return (maskedLines.join("\n").match(/[A-Za-z0-9][\w'’-]*/g) || []).length;
+}
+
+function findEmDashes(doc) {
+  const dashes = [];
+  doc.masked.forEach((masked, idx) => {
+    for (const m of masked.matchAll(/—/g)) dashes.push({ line: idx + 1, column: m.index + 1, match: m[0] });
+  });
+  return dashes;
+}
+
+// One finding for the whole document, at the first dash, once dashes are
+// denser than `limit` per 1,000 words of prose
+function detectEmDashDensity(limit) {
+  return (doc) => {
+    const dashes = findEmDashes(doc);
+    if (dashes.length === 0) return [];
+    const words = Math.max(1, countWords(doc.masked));
+    const density = (dashes.length * 1000) / words;
+    if (density <= limit) return [];
+    return [
+      {
+        ...dashes[0],
+        description: `Em dash overuse (${dashes.length} in ${words} words, ${density.toFixed(1)} per 1,000; limit ${limit})`,
+      },
+    ];
+  };
+}
+
+const STOPWORDS = new Set(
+  ("about after again also because been before being between both could does doing during each from have having " +
+    "here into just more most much only other over same should some such than that their them then there these " +
+    "they this those through very were what when where which while will with would your").split(" ")
+);
+
+function contentWords(text) {
+  return (text.toLowerCase().match(/[a-z][a-z'-]{3,}/g) || []).filter((w) => !STOPWORDS.has(w));
+}
+
+// A closing paragraph that mostly reuses words from the paragraphs before it
+// restates them instead of adding anything
+function detectSummaryEnding(doc) {
+  const prose = doc.paragraphs.filter((para) => !para.block || para.block === "paragraph");
+  if (prose.length < 3) return [];
+
+  const final = prose[prose.length - 1];
+  const words = [...new Set(contentWords(final.text))];
+  if (words.length < 8) return [];
+  const earlier = new Set(prose.slice(0, -1).flatMap((para) => contentWords(para.text)));
+  const reused = words.filter((w) => earlier.has(w)).length / words.length;
+  if (reused < SUMMARY_REUSE_RATIO) return [];
+
+  // Reported at the paragraph's first sentence, as far as its first line goes
+  const start = locate(final, 0);
+  const firstSentence = doc.lines[start.line - 1].slice(start.column - 1).match(/^[^.!?]*[.!?]?/)[0];
+  return [
+    {
+      ...start,
+      match: firstSentence.trimEnd(),
+      description: `Final paragraph restates earlier ones (${Math.round(reused * 100)}% of its words appear above)`,
+    },
+  ];
+}
+
+const LINT_RULES = buildRegexRules();
+
+// ---------- Inline suppressions ----------
+
+const DIRECTIVE = /<!--\s*ai-writer-(disable-next-line|disable-line|disable-file|disable|enable)\b([\s\S]*?)-->/g;
+
+// Finds <!-- ai-writer-... --> directives outside code, inline code spans
+// included. Each suppression covers one rule (or every rule when `rule` is
+// null) over an inclusive line range. `inherited` are suppressions in effect
+// from outside `lines` ({ rule, startLine, endLine, open }); an open one lasts
+// until an enable directive in `lines`. They are never reported as unused.
+function parseSuppressions(lines, blocks = [], inherited = []) {
+  const suppressions = inherited.map((s) => ({
+    kind: "inherited",
+    rule: s.rule,
+    line: 0,
+    column: 0,
+    used: false,
+    startLine: s.startLine ?? 1,
+    endLine: s.open ? lines.length : s.endLine ?? Infinity,
+  }));
+  const open = suppressions.filter((_, idx) => inherited[idx].open);
+
+  lines.forEach((line, lineIdx) => {
+    if (blocks[lineIdx] === "code" || blocks[lineIdx] === "frontmatter") return;
+    const lineNo = lineIdx + 1;
+    const spans = blocks.length > 0 ? [...line.matchAll(INLINE_CODE)].map((m) => [m.index, m.index + m[0].length]) : [];
+    DIRECTIVE.lastIndex = 0;
+    let match;
+    while ((match = DIRECTIVE.exec(line)) !== null) {
+      const { index } = match;
+      if (spans.some(([start, end]) => index >= start && index < end)) continue;
+      const [, kind, args] = match;
+      const ids = args.split(/[\s,]+/).filter(Boolean);
+      const targets = ids.length > 0 ? ids : [null];
+      const base = { kind, line: lineNo, column: match.index + 1, used: false };
+
+      if (kind === "enable") {
+        for (let i = open.length - 1; i >= 0; i--) {
+          if (ids.length === 0 || ids.includes(open[i].rule)) {
+            open[i].endLine = lineNo;
+            open.splice(i, 1);
+          }
+        }
+        continue;
+      }
+
+      targets.forEach((rule) => {
+        const s = { ...base, rule, startLine: lineNo, endLine: lineNo };
+        if (kind === "disable-next-line") {
+          s.startLine = lineNo + 1;
+          s.endLine = lineNo + 1;
+        } else if (kind === "disable-file") {
+          s.startLine = 1;
+          s.endLine = lines.length;
+        } else if (kind === "disable") {
+          s.endLine = lines.length;
+          open.push(s);
+        }
+        suppressions.push(s);
+      });
+    }
+  });
+
+  return suppressions;
+}
+
+// Drops suppressed hits and marks the suppressions that were needed
+function applySuppressions(hits, suppressions) {
+  return hits.filter((hit) => {
+    const s = suppressions.find(
+      (sup) =>
+        (sup.rule === null || sup.rule === hit.rule) && hit.line >= sup.startLine && hit.line <= sup.endLine
+    );
+    if (!s) return true;
+    s.used = true;
+    return false;
+  });
+}
+
+// `source` is the original text the match was found in (a line or an
+// unwrapped paragraph); excerpts and match text come from it, not the mask
+function makeHit(rule, source, index, length, start, end, description) {
+  return {
+    rule: rule.id,
+    category: rule.category,
+    description: description || rule.description,
+    severity: rule.severity,
+    line: start.line,
+    column: start.column,
+    endLine: end.line,
+    endColumn: end.column,
+    match: source.slice(index, index + length),
+    excerpt: source.slice(Math.max(0, index - 25), Math.min(source.length, index + length + 25)),
+  };
+}
+
+function lint(text, options = {}) {
+  const { markdown = true, rules = LINT_RULES, suppressions: inherited = [] } = options;
+  let hits = [];
+  const lines = text.split(/\r?\n/);
+  // Rules run against the masked prose; excerpts still come from the original
+  const prose = markdown ? maskMarkdown(text) : { lines, blocks: [] };
+
+  const paragraphs = buildParagraphs(prose.lines, prose.blocks);
+
+  paragraphs.forEach((para) => {
+    const source = originalText(para, lines);
+    rules.forEach((rule) => {
+      if (!rule.pattern) return;
+      if (rule.blocks && para.block && !rule.blocks.includes(para.block)) return;
+      rule.pattern.lastIndex = 0;
+      let match;
+      while ((match = rule.pattern.exec(para.text)) !== null) {
+        const { index } = match;
+        const length = match[0].length;
+        if (!rule.contexts || matchesContext(rule.contexts, para.text, index, length)) {
+          hits.push(makeHit(rule, source, index, length, locate(para, index), locate(para, index + length)));
+        }
+        if (!match[0]) break;
+      }
+    });
+  });
+
+  // Detectors report file positions directly
+  const doc = { lines, masked: prose.lines, blocks: prose.blocks, paragraphs };
+  rules.forEach((rule) => {
+    if (!rule.detect) return;
+    rule.detect(doc).forEach((loc) => {
+      const line = lines[loc.line - 1];
+      const index = loc.column - 1;
+      const end = { line: loc.line, column: loc.column + loc.match.length };
+      hits.push(makeHit(rule, line, index, loc.match.length, loc, end, loc.description));
+    });
+  });
+  hits.sort((a, b) => a.line - b.line || a.column - b.column);
+
+  const suppressions = parseSuppressions(lines, prose.blocks, inherited);
+  hits = applySuppressions(hits, suppressions);
+  const unusedSuppressions = suppressions
+    .filter((s) => !s.used && s.kind !== "inherited")
+    .map(({ kind, rule, line, column }) => ({ directive: `ai-writer-${kind}`, rule, line, column }));
+
+  const words = countWords(prose.lines);
+  const categories = [...new Set(rules.map((rule) => rule.category))];
+  return { ...scoreHits(hits, { words, categories, scoring: options.scoring }), hits, unusedSuppressions, words };
+}
+
+// =============================================================================
+// SCORING
+// =============================================================================
+
+const SCORING_DEFAULTS = { weights: { critical: 20, high: 8, medium: 4, low: 2 }, perWords: 500 };
+
+// Penalty points out of 100, rounded up so any hit costs at least a point
+function toScore(penalty) {
+  return Math.max(0, 100 - Math.ceil(Math.round(penalty * 100) / 100));
+}
+
+// Each hit costs its severity's weight. In texts longer than `perWords` words
+// the cost is spread over the length, so the same hits weigh less in a longer
+// text; `perWords: 0` turns that off. `categoryCaps` limit the points one
+// category can take. Returns the score, the total penalty and a sub-score per
+// category ({ hits, penalty, score }), listing every category in `categories`.
+function scoreHits(hits, options = {}) {
+  const { words = 0, categories = [], scoring = {} } = options;
+  const weights = { ...SCORING_DEFAULTS.weights, ...scoring.weights };
+  const perWords = scoring.perWords ?? SCORING_DEFAULTS.perWords;
+  const caps = scoring.categoryCaps || {};
+  const scale = perWords > 0 ? perWords / Math.max(words, perWords) : 1;
+
+  const breakdown = {};
+  categories.forEach((category) => {
+    breakdown[category] = { hits: 0, penalty: 0 };
+  });
+  hits.forEach((hit) => {
+    if (!breakdown[hit.category]) breakdown[hit.category] = { hits: 0, penalty: 0 };
+    breakdown[hit.category].hits += 1;
+    breakdown[hit.category].penalty += weights[hit.severity] * scale;
+  });
+
+  let penalty = 0;
+  Object.entries(breakdown).forEach(([category, entry]) => {
+    const capped = Math.min(entry.penalty, caps[category] ?? Infinity);
+    entry.penalty = Math.round(capped * 100) / 100;
+    entry.score = toScore(entry.penalty);
+    penalty += entry.penalty;
+  });
+
+  return { score: toScore(penalty), penalty: Math.round(penalty * 100) / 100, categories: breakdown };
+}
+
+// Reasons a lint result fails the exit-code thresholds; empty when it passes.
+// `failUnder` fails scores below it and `maxSeverity` fails hits more severe
+// than it. With neither set, any hit fails.
+function failedThresholds(result, thresholds = {}) {
+  const { failUnder, maxSeverity } = thresholds;
+  if (failUnder === undefined && maxSeverity === undefined) {
+    return result.hits.length > 0 ? [`${result.hits.length} AI pattern(s) found`] : [];
+  }
+
+  const reasons = [];
+  if (failUnder !== undefined && result.score < failUnder) {
+    reasons.push(`score ${result.score} is under ${failUnder}`);
+  }
+  if (maxSeverity !== undefined) {
+    const allowed = SEVERITIES.indexOf(maxSeverity);
+    const worse = result.hits.filter((hit) => SEVERITIES.indexOf(hit.severity) < allowed);
+    if (worse.length > 0) reasons.push(`${worse.length} hit(s) above ${maxSeverity} severity`);
+  }
+  return reasons;
+}
+
+// =============================================================================
+// AUTOFIX
+// =============================================================================
+
+// Fixers take the original line and a hit and return an edit
+// ({ start, end, text } in 0-based line offsets), or null when the hit
+// can't be fixed mechanically.
+
+const SENTENCE_START = /(^\s*(?:[-*+]\s+|\d+[.)]\s+|>\s*|#{1,6}\s+)*|[.!?]["')\]]?\s+)$/;
+
+function matchCase(word, replacement) {
+  if (word === word.toUpperCase() && word.length > 1) return replacement.toUpperCase();
+  if (word[0] === word[0].toUpperCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+  return replacement;
+}
+
+function replaceWith(replacement) {
+  return (line, hit) => ({ start: hit.column - 1, end: hit.column - 1 + hit.match.length, text: replacement });
+}
+
+// "a — b" becomes "a, b": the spaces around the dash go with it
+function replaceDash(replacement) {
+  return (line, hit) => {
+    let start = hit.column - 1;
+    let end = start + hit.match.length;
+    while (start > 0 && line[start - 1] === " ") start--;
+    while (end < line.length && line[end] === " ") end++;
+    if (start === 0 || end === line.length || /[.,;:!?]/.test(line[end])) return null;
+    return { start, end, text: replacement };
+  };
+}
+
+// Whether line `lineIdx` carries on a sentence from the line above
+function continuesSentence(doc, lineIdx) {
+  if (lineIdx === 0 || LIST_ITEM.test(doc.lines[lineIdx]) || doc.blocks[lineIdx] === "heading") return false;
+  if (doc.blocks[lineIdx] !== doc.blocks[lineIdx - 1]) return false;
+  const above = doc.lines[lineIdx - 1].replace(/^\s*(?:>\s*)*/, "").trimEnd();
+  return above !== "" && !/[.!?:]["')\]]?$/.test(above);
+}
+
+// Deletes a sentence-opening phrase followed by a comma or "that". What
+// follows is capitalized unless the line carries on a sentence from above.
+function deleteLeadingPhrase(line, hit, doc) {
+  const start = hit.column - 1;
+  const end = start + hit.match.length;
+  const before = line.slice(0, start);
+  if (!SENTENCE_START.test(before)) return null;
+  const tail = line.slice(end).match(/^(,\s*|\s+that(?:\s+|$))/i);
+  if (!tail) return null;
+  const midSentence = doc && !/[.!?]["')\]]?\s+$/.test(before) && continuesSentence(doc, hit.line - 1);
+  return { start, end: end + tail[0].length, text: "", capitalize: !midSentence };
+}
+
+// Deletes the whole sentence the hit sits in. A sentence that wraps onto
+// another line is left alone: only whole sentences go.
+function deleteSentence(line, hit, doc) {
+  const at = hit.column - 1;
+  const before = line.slice(0, at);
+  const prefix = before.match(/^\s*(?:[-*+]\s+|\d+[.)]\s+|>\s*)*/)[0];
+  // A terminator only ends a sentence before whitespace, so "2.0" does not
+  let start = prefix.length;
+  for (const m of before.matchAll(/[.!?]+["')\]]?\s+/g)) {
+    if (m.index >= prefix.length) start = m.index + m[0].length;
+  }
+  if (start === prefix.length && doc && continuesSentence(doc, hit.line - 1)) return null;
+  const after = line.slice(at).match(/^.*?[.!?]+["')\]]?(?:\s+|$)/);
+  if (!after) return null;
+  return { start, end: at + after[0].length, text: "" };
+}
+
+// Where the sentence starts once an opener ending at `col` is deleted: the
+// next character on the line, or the start of the next line when the opener
+// ended its line (after any quote markers). Null unless that is a lowercase
+// letter outside code and link syntax.
+function sentenceStartAfter(doc, lineIdx, col) {
+  let idx = lineIdx;
+  let at = doc.lines[idx].slice(col).search(/\S/);
+  if (at === -1) {
+    idx++;
+    if (idx >= doc.lines.length || doc.blocks[idx] !== doc.blocks[lineIdx]) return null;
+    at = doc.lines[idx].match(/^\s*(?:>\s*)*/)[0].length;
+  } else {
+    at += col;
+  }
+  const ch = doc.lines[idx][at];
+  if (!/^[a-z]$/.test(ch || "") || doc.masked[idx][at] !== ch) return null;
+  return { line: idx + 1, column: at };
+}
+
+function substituteWord(substitutions) {
+  return (line, hit) => {
+    const replacement = substitutions[hit.match.toLowerCase()];
+    if (!replacement) return null;
+    return replaceWith(matchCase(hit.match, replacement))(line, hit);
+  };
+}
+
+// Straight quotes win when a document mixes both styles
+function normalizeQuotes(lines, blocks = []) {
+  const changes = [];
+  const prose = lines.filter((_, idx) => blocks[idx] !== "code" && blocks[idx] !== "frontmatter").join("\n");
+  const hasCurly = prose.search(CURLY_QUOTE) !== -1;
+  const hasStraight = prose.search(STRAIGHT_QUOTE) !== -1;
+  if (!hasCurly || !hasStraight) return { lines, changes };
+
+  const fixed = lines.map((line, idx) => {
+    if (blocks[idx] === "code" || blocks[idx] === "frontmatter") return line;
+    const out = line.replace(/[“”]/g, '"').replace(/[‘’]/g, "'");
+    if (out !== line) {
+      changes.push({ rule: "quote_consistency", line: idx + 1, column: 1, from: "curly quotes", to: "straight quotes" });
+    }
+    return out;
+  });
+  return { lines: fixed, changes };
+}
+
+function tidyLine(line) {
+  const indent = line.match(/^\s*/)[0];
+  return (
+    indent +
+    line
+      .slice(indent.length)
+      .replace(/ {2,}/g, " ")
+      .replace(/\s+([,.;:!?])/g, "$1")
+      .replace(/,\s*,/g, ",")
+      .trimEnd()
+  );
+}
+
+// Applies every available fixer to `text` (or only those for hits passing
+// `filter`). Returns the fixed text, the list of changes made, and a fresh
+// lint of the result for whatever is left.
+function fixText(text, options = {}) {
+  const { markdown = true, rules = LINT_RULES, scoring, filter = () => true } = options;
+  const eol = text.includes("\r\n") ? "\r\n" : "\n";
+  const lines = text.split(/\r?\n/);
+  const ruleById = new Map(rules.map((r) => [r.id, r]));
+  const { hits } = lint(text, { markdown, rules });
+  const prose = markdown ? maskMarkdown(text) : { lines, blocks: [] };
+  const doc = { lines: [...lines], masked: prose.lines, blocks: prose.blocks };
+
+  const editsByLine = new Map();
+  const expanded = new Set();
+  hits.forEach((hit) => {
+    const rule = ruleById.get(hit.rule);
+    // Fixers edit one line; a match that wraps onto the next is left alone
+    if (!rule || !rule.fix || hit.endLine !== hit.line || !filter(hit)) return;
+
+    let targets = [hit];
+    if (rule.fixTargets) {
+      if (expanded.has(rule.id)) return;
+      expanded.add(rule.id);
+      targets = rule.fixTargets(doc).map((t) => ({ ...hit, ...t }));
+    }
+
+    targets.forEach((target) => {
+      const edit = rule.fix(lines[target.line - 1], target, doc);
+      if (!edit) return;
+      const capital = edit.capitalize ? sentenceStartAfter(doc, target.line - 1, edit.end) : null;
+      if (!editsByLine.has(target.line)) editsByLine.set(target.line, []);
+      editsByLine.get(target.line).push({ ...edit, hit: target, capital });
+    });
+  });
+
+  // Right to left so earlier offsets stay valid; overlapping edits are dropped
+  editsByLine.forEach((edits, lineNo) => {
+    edits.sort((a, b) => b.start - a.start || b.end - a.end);
+    let limit = Infinity;
+    editsByLine.set(
+      lineNo,
+      edits.filter((edit) => {
+        if (edit.end > limit) return false;
+        limit = edit.start;
+        return true;
+      })
+    );
+  });
+
+  // Letters that start a sentence once an opener before them is deleted.
+  // They are raised in place, or in the replacement text of an edit there.
+  const capitals = new Set();
+  editsByLine.forEach((edits) => edits.forEach(({ capital }) => capital && capitals.add(`${capital.line}:${capital.column}`)));
+  const raise = (str, lineNo, column) => (capitals.has(`${lineNo}:${column}`) ? str.charAt(0).toUpperCase() + str.slice(1) : str);
+  capitals.forEach((key) => {
+    const [lineNo, column] = key.split(":").map(Number);
+    const line = lines[lineNo - 1];
+    lines[lineNo - 1] = line.slice(0, column) + raise(line.slice(column), lineNo, column);
+  });
+
+  let changes = [];
+  const removed = new Set();
+  editsByLine.forEach((edits, lineNo) => {
+    let line = lines[lineNo - 1];
+    edits.forEach((edit) => {
+      line = line.slice(0, edit.start) + raise(edit.text, lineNo, edit.start) + line.slice(edit.end);
+      changes.push({ rule: edit.hit.rule, line: lineNo, column: edit.hit.column, from: edit.hit.match, to: edit.text.trim() });
+    });
+    line = tidyLine(line);
+    // A line emptied by deletions goes away entirely, list markers included
+    if (/^\s*(?:[-*+]|\d+[.)]|>)?\s*$/.test(line)) removed.add(lineNo);
+    lines[lineNo - 1] = line;
+  });
+
+  const quotes = hits.some((h) => h.rule === "quote_consistency" && filter(h))
+    ? normalizeQuotes(lines, prose.blocks)
+    : { lines, changes: [] };
+  changes = changes.concat(quotes.changes).sort((a, b) => a.line - b.line || a.column - b.column);
+
+  const fixed = quotes.lines.filter((_, idx) => !removed.has(idx + 1)).join(eol);
+  return { text: fixed, fixes: changes, ...lint(fixed, { markdown, rules, scoring }) };
+}
+
+// =============================================================================
+// RULE TESTS
+// =============================================================================
+
+// A rule's `examples` are its fixtures: every `flag` text must produce a hit
+// of that rule and no `pass` text may. Each `fix` pair is a text and what
+// fixText() must turn it into. Each text is linted on its own, as Markdown,
+// with only that rule, so detectors can be given whole documents.
+// Fixture files map rule ids to more examples in the same shape:
+//   { "banned_vocabulary": { "flag": ["We delve in."], "pass": ["We dig in."] } }
+
+function validateExamples(examples, where) {
+  if (!examples || typeof examples !== "object" || Array.isArray(examples)) return [`${where}: expected { flag, pass, fix }`];
+  const { flag = [], pass = [], fix = [], ...extra } = examples;
+  const errors = Object.keys(extra).map((key) => `${where}.${key}: expected flag, pass or fix`);
+  if (!isStringList(flag)) errors.push(`${where}.flag: expected an array of texts the rule must flag`);
+  if (!isStringList(pass)) errors.push(`${where}.pass: expected an array of texts the rule must not flag`);
+  if (!Array.isArray(fix) || !fix.every((pair) => Array.isArray(pair) && pair.length === 2 && pair.every((t) => typeof t === "string"))) {
+    errors.push(`${where}.fix: expected an array of [text, fixed text] pairs`);
+  }
+  return errors;
+}
+
+// Loads a fixture file. Throws with every problem listed.
+function loadFixtures(file) {
+  let fixtures;
+  try {
+    fixtures = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+  }
+  const errors =
+    fixtures && typeof fixtures === "object" && !Array.isArray(fixtures)
+      ? Object.entries(fixtures).flatMap(([id, examples]) => validateExamples(examples, id))
+      : ["expected an object mapping rule ids to { flag, pass, fix }"];
+  if (errors.length > 0) {
+    throw new Error(`Invalid fixtures in ${file}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+  return fixtures;
+}
+
+// Returns { results: [{ rule, examples, failures: [{ expected, text, matches }] }],
+// untested: rule ids without examples, unknown: fixture ids no rule has, failed }.
+// A failed fix pair also carries `want` and what fixText() `fixed` it into.
+function testRules(options = {}) {
+  const { rules = LINT_RULES, fixtures = {}, markdown = true } = options;
+  const results = [];
+  const untested = [];
+
+  rules.forEach((rule) => {
+    const extra = fixtures[rule.id] || {};
+    const flag = [...(rule.examples?.flag || []), ...(extra.flag || [])];
+    const pass = [...(rule.examples?.pass || []), ...(extra.pass || [])];
+    const fix = [...(rule.examples?.fix || []), ...(extra.fix || [])];
+    if (flag.length + pass.length + fix.length === 0) {
+      untested.push(rule.id);
+      return;
+    }
+
+    const failures = [];
+    const check = (expected, text) => {
+      const matches = lint(text, { markdown, rules: [rule] }).hits.map((hit) => hit.match);
+      if (matches.length > 0 !== (expected === "flag")) failures.push({ expected, text, matches });
+    };
+    flag.forEach((text) => check("flag", text));
+    pass.forEach((text) => check("pass", text));
+    fix.forEach(([text, want]) => {
+      const fixed = fixText(text, { markdown, rules: [rule] }).text;
+      if (fixed !== want) failures.push({ expected: "fix", text, matches: [], want, fixed });
+    });
+    results.push({ rule: rule.id, examples: flag.length + pass.length + fix.length, failures });
+  });
+
+  return {
+    results,
+    untested,
+    unknown: Object.keys(fixtures).filter((id) => !rules.some((rule) => rule.id === id)),
+    failed: results.filter((result) => result.failures.length > 0).length,
+  };
+}
+
+// =============================================================================
+// PROJECT CONFIG
+// =============================================================================
+
+const CONFIG_FILES = [".aiwriterrc", ".aiwriterrc.json", "ai-writer.config.js"];
+const WORD_LISTS = ["banned", "transitions", "gerunds", "puffery"];
+const BUILTIN_RULE_IDS = buildRegexRules().map((r) => r.id);
+
+// Walks up from `startDir` and returns the first config file found, or null
+function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const found = CONFIG_FILES.map((name) => path.join(dir, name)).find((file) => fs.existsSync(file));
+    if (found) return found;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((v) => typeof v === "string" && v.trim() !== "");
+}
+
+// Returns a list of human-readable problems; an empty list means the config is valid
+function validateConfig(config) {
+  const errors = [];
+  const known = ["provider", "providerOptions", "model", "maxLoops", "budget", "prices", "network", "cache", "chunkTokens", "lengthRatio", "repairMeaning", "emDashesPer1000Words", "scoring", "rules", "words", "customRules"];
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return ["config must be an object"];
+  }
+
+  Object.keys(config).forEach((key) => {
+    if (!known.includes(key)) errors.push(`${key}: unknown option (expected one of ${known.join(", ")})`);
+  });
+
+  if (config.provider !== undefined && !PROVIDERS.includes(config.provider)) {
+    errors.push(`provider: expected one of ${PROVIDERS.join(", ")}`);
+  }
+  if (config.providerOptions !== undefined && (!config.providerOptions || typeof config.providerOptions !== "object" || Array.isArray(config.providerOptions))) {
+    errors.push("providerOptions: expected an object");
+  }
+  if (config.model !== undefined && (typeof config.model !== "string" || !config.model)) {
+    errors.push("model: expected a non-empty string");
+  }
+  if (config.maxLoops !== undefined && !(Number.isInteger(config.maxLoops) && config.maxLoops >= 0)) {
+    errors.push("maxLoops: expected a non-negative integer");
+  }
+  if (config.budget !== undefined && !(typeof config.budget === "number" && config.budget >= 0)) {
+    errors.push("budget: expected a non-negative number of US dollars");
+  }
+  if (config.prices !== undefined) {
+    if (!config.prices || typeof config.prices !== "object" || Array.isArray(config.prices)) {
+      errors.push("prices: expected an object mapping model names to { input, output }");
+    } else {
+      Object.entries(config.prices).forEach(([model, price]) => {
+        const valid = (n) => typeof n === "number" && n >= 0;
+        if (!price || typeof price !== "object" || !valid(price.input) || !valid(price.output)) {
+          errors.push(`prices.${model}: expected { input, output } in USD per million tokens`);
+        }
+      });
+    }
+  }
+  if (config.network !== undefined) {
+    if (!config.network || typeof config.network !== "object" || Array.isArray(config.network)) {
+      errors.push("network: expected an object with retries, requestTimeoutSeconds and totalTimeoutSeconds");
+    } else {
+      Object.entries(config.network).forEach(([key, value]) => {
+        if (!(key in NETWORK_DEFAULTS)) errors.push(`network.${key}: unknown option (expected ${Object.keys(NETWORK_DEFAULTS).join(", ")})`);
+        else if (key === "retries" && !(Number.isInteger(value) && value >= 0)) errors.push("network.retries: expected a non-negative integer");
+        else if (key !== "retries" && !(typeof value === "number" && value > 0)) errors.push(`network.${key}: expected a positive number`);
+      });
+    }
+  }
+  if (config.cache !== undefined && config.cache !== false) {
+    if (!config.cache || typeof config.cache !== "object" || Array.isArray(config.cache)) {
+      errors.push("cache: expected false or an object with dir, ttlHours and maxMegabytes");
+    } else {
+      const { dir, ttlHours, maxMegabytes, ...rest } = config.cache;
+      Object.keys(rest).forEach((key) => errors.push(`cache.${key}: unknown option (expected dir, ttlHours or maxMegabytes)`));
+      if (dir !== undefined && (typeof dir !== "string" || !dir)) errors.push("cache.dir: expected a non-empty string");
+      if (ttlHours !== undefined && !(typeof ttlHours === "number" && ttlHours >= 0)) errors.push("cache.ttlHours: expected a non-negative number");
+      if (maxMegabytes !== undefined && !(typeof maxMegabytes === "number" && maxMegabytes > 0)) errors.push("cache.maxMegabytes: expected a positive number");
+    }
+  }
+  if (config.chunkTokens !== undefined && !(Number.isInteger(config.chunkTokens) && config.chunkTokens >= 0)) {
+    errors.push("chunkTokens: expected a non-negative integer (0 disables chunking)");
+  }
+  if (config.repairMeaning !== undefined && typeof config.repairMeaning !== "boolean") {
+    errors.push("repairMeaning: expected true or false");
+  }
+  if (config.lengthRatio !== undefined) {
+    const { min = LENGTH_RATIO_DEFAULT.min, max = LENGTH_RATIO_DEFAULT.max, ...rest } =
+      config.lengthRatio && typeof config.lengthRatio === "object" && !Array.isArray(config.lengthRatio) ? config.lengthRatio : { min: -1 };
+    if (Object.keys(rest).length > 0 || !(typeof min === "number" && typeof max === "number" && min > 0 && min <= max)) {
+      errors.push("lengthRatio: expected { min, max } with 0 < min <= max");
+    }
+  }
+  if (config.emDashesPer1000Words !== undefined && !(typeof config.emDashesPer1000Words === "number" && config.emDashesPer1000Words >= 0)) {
+    errors.push("emDashesPer1000Words: expected a non-negative number");
+  }
+  if (config.scoring !== undefined) {
+    if (!config.scoring || typeof config.scoring !== "object" || Array.isArray(config.scoring)) {
+      errors.push("scoring: expected an object with weights, perWords, categoryCaps, failUnder and maxSeverity");
+    } else {
+      const { weights, perWords, categoryCaps, failUnder, maxSeverity, ...rest } = config.scoring;
+      const points = (n) => typeof n === "number" && n >= 0;
+      Object.keys(rest).forEach((key) => errors.push(`scoring.${key}: unknown option (expected weights, perWords, categoryCaps, failUnder or maxSeverity)`));
+      if (weights !== undefined) {
+        if (!weights || typeof weights !== "object" || Array.isArray(weights)) errors.push("scoring.weights: expected an object mapping severities to points");
+        else {
+          Object.entries(weights).forEach(([severity, value]) => {
+            if (!SEVERITIES.includes(severity)) errors.push(`scoring.weights.${severity}: unknown severity (expected one of ${SEVERITIES.join(", ")})`);
+            else if (!points(value)) errors.push(`scoring.weights.${severity}: expected a non-negative number`);
+          });
+        }
+      }
+      if (perWords !== undefined && !(Number.isInteger(perWords) && perWords >= 0)) {
+        errors.push("scoring.perWords: expected a non-negative integer (0 disables length normalization)");
+      }
+      if (categoryCaps !== undefined) {
+        if (!categoryCaps || typeof categoryCaps !== "object" || Array.isArray(categoryCaps)) errors.push("scoring.categoryCaps: expected an object mapping categories to points");
+        else {
+          Object.entries(categoryCaps).forEach(([category, value]) => {
+            if (!points(value)) errors.push(`scoring.categoryCaps.${category}: expected a non-negative number`);
+          });
+        }
+      }
+      if (failUnder !== undefined && !(typeof failUnder === "number" && failUnder >= 0 && failUnder <= 100)) {
+        errors.push("scoring.failUnder: expected a score from 0 to 100");
+      }
+      if (maxSeverity !== undefined && !SEVERITIES.includes(maxSeverity)) {
+        errors.push(`scoring.maxSeverity: expected one of ${SEVERITIES.join(", ")}`);
+      }
+    }
+  }
+
+  if (config.words !== undefined) {
+    if (typeof config.words !== "object" || Array.isArray(config.words)) {
+      errors.push("words: expected an object");
+    } else {
+      Object.entries(config.words).forEach(([list, edits]) => {
+        if (!WORD_LISTS.includes(list)) {
+          errors.push(`words.${list}: unknown word list (expected one of ${WORD_LISTS.join(", ")})`);
+          return;
+        }
+        if (!edits || typeof edits !== "object" || Array.isArray(edits)) {
+          errors.push(`words.${list}: expected an object with "add" and/or "remove"`);
+          return;
+        }
+        Object.entries(edits).forEach(([op, value]) => {
+          if (op !== "add" && op !== "remove") errors.push(`words.${list}.${op}: expected "add" or "remove"`);
+          else if (!isStringList(value)) errors.push(`words.${list}.${op}: expected an array of non-empty strings`);
+        });
+      });
+    }
+  }
+
+  const customIds = [];
+  if (config.customRules !== undefined) {
+    if (!Array.isArray(config.customRules)) {
+      errors.push("customRules: expected an array");
+    } else {
+      config.customRules.forEach((rule, idx) => {
+        const where = `customRules[${idx}]`;
+        if (!rule || typeof rule !== "object") {
+          errors.push(`${where}: expected an object`);
+          return;
+        }
+        if (typeof rule.id !== "string" || !/^[a-z][a-z0-9_]*$/i.test(rule.id)) {
+          errors.push(`${where}.id: expected an identifier like "my_rule"`);
+        } else if (BUILTIN_RULE_IDS.includes(rule.id) || customIds.includes(rule.id)) {
+          errors.push(`${where}.id: "${rule.id}" is already defined`);
+        } else {
+          customIds.push(rule.id);
+        }
+        if (typeof rule.description !== "string" || !rule.description) {
+          errors.push(`${where}.description: expected a non-empty string`);
+        }
+        if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+          errors.push(`${where}.severity: expected one of ${SEVERITIES.join(", ")}`);
+        }
+        if (rule.category !== undefined && typeof rule.category !== "string") {
+          errors.push(`${where}.category: expected a string`);
+        }
+        if (rule.replacement !== undefined && typeof rule.replacement !== "string") {
+          errors.push(`${where}.replacement: expected a string (use "" to delete the match)`);
+        }
+        if (rule.context !== undefined) {
+          const { before, after, allow = [], ...extra } = rule.context || {};
+          Object.keys(extra).forEach((key) => errors.push(`${where}.context.${key}: expected before, after or allow`));
+          // Compiled the way compileContext() will compile them
+          const compile = (key, source, wrap) => {
+            if (typeof source !== "string" || !source) {
+              errors.push(`${where}.context.${key}: expected a regex source string`);
+              return;
+            }
+            try {
+              new RegExp(wrap(source), "i");
+            } catch (err) {
+              errors.push(`${where}.context.${key}: ${err.message}`);
+            }
+          };
+          if (before !== undefined) compile("before", before, (s) => `(?:${s})$`);
+          if (after !== undefined) compile("after", after, (s) => `^(?:${s})`);
+          if (!Array.isArray(allow)) errors.push(`${where}.context.allow: expected an array of regex source strings`);
+          else allow.forEach((source, i) => compile(`allow[${i}]`, source, (s) => s));
+        }
+        if (rule.flags !== undefined && typeof rule.flags !== "string") {
+          errors.push(`${where}.flags: expected a string of regex flags like "gi"`);
+        }
+        if (rule.examples !== undefined) errors.push(...validateExamples(rule.examples, `${where}.examples`));
+        if (typeof rule.pattern !== "string" || !rule.pattern) {
+          errors.push(`${where}.pattern: expected a regex source string`);
+        } else {
+          try {
+            new RegExp(rule.pattern, typeof rule.flags === "string" ? rule.flags || "gi" : "gi");
+          } catch (err) {
+            errors.push(`${where}.pattern: ${err.message}`);
+          }
+        }
+      });
+    }
+  }
+
+  if (config.rules !== undefined) {
+    if (typeof config.rules !== "object" || Array.isArray(config.rules)) {
+      errors.push("rules: expected an object mapping rule ids to \"off\" or a severity");
+    } else {
+      Object.entries(config.rules).forEach(([id, value]) => {
+        if (!BUILTIN_RULE_IDS.includes(id) && !customIds.includes(id)) {
+          errors.push(`rules.${id}: unknown rule (built-in rules: ${BUILTIN_RULE_IDS.join(", ")})`);
+        } else if (value !== "off" && !SEVERITIES.includes(value)) {
+          errors.push(`rules.${id}: expected "off" or one of ${SEVERITIES.join(", ")}`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Loads and validates a config file. Throws with every problem listed.
+function loadConfig(file) {
+  let config;
+  if (file.endsWith(".js")) {
+    config = require(path.resolve(file));
+  } else {
+    try {
+      config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+    }
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config in ${file}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+  return config;
+}
+
+// =============================================================================
+// PROMPTS
+// =============================================================================
+
+function getSystemPrompt(config = {}) {
+  return `${getBasePrompt()}${getProjectPrompt(config)}`;
+}
+
+// Word list edits and custom rules from the project config, so the model
+// is held to the same rules as the linter
+function getProjectPrompt(config) {
+  const added = [];
+  const removed = [];
+  Object.values(config.words || {}).forEach(({ add = [], remove = [] }) => {
+    added.push(...add);
+    removed.push(...remove);
+  });
+  const custom = (config.customRules || []).map((r) => `- ${r.description}`);
+  if (added.length === 0 && removed.length === 0 && custom.length === 0) return "";
+
+  const sections = ["\n\n## PROJECT RULES"];
+  if (added.length > 0) sections.push(`\nALSO BANNED: ${added.join(", ")}`);
+  if (removed.length > 0) sections.push(`\nALLOWED IN THIS PROJECT (not banned): ${removed.join(", ")}`);
+  if (custom.length > 0) sections.push(`\nALSO AVOID:\n${custom.join("\n")}`);
+  return sections.join("\n");
+}
+
+function getBasePrompt() {
+  return `You are an expert editor specializing in humanizing AI-generated text. Your goal is to eliminate "hallucinations of competence" - the stylistic tics that make AI writing sound confident but hollow.
+
+CORE PRINCIPLE: Move text from generic, smooth, promotional fluff toward concrete, specific, and verifiable human writing.
+
+## 1. TONE AND CONTENT: Concrete over Generic
+
+- ELIMINATE "regression to the mean": Don't smooth specific details into generic praise.
+  BAD: "A revolutionary titan of industry"
+  GOOD: "Inventor of a train-coupling device"
+
+- REMOVE significance inflation: Stop recasting ordinary facts as pivotal or grand.
+  BAD: "This pivotal shift transformed the landscape"
+  GOOD: "Sales increased 12% that quarter"
+
+- KILL puffery/peacock words: groundbreaking, stunning, breathtaking, nestled, visionary, renowned, legendary, iconic, game-changing, revolutionary, transformative, cutting-edge, world-class, unprecedented
+
+- NO coverage chest-thumping: Don't list "Featured in Wired, Forbes..." without explaining what was said
+
+- FIX superficial analysis: Remove padding gerunds (underscoring, highlighting, reflecting, indicating, showcasing) unless they connect two distinct concepts
+
+## 2. VOCABULARY CONSTRAINTS (Banned List)
+
+BANNED VERBS/ADJECTIVES: delve, tapestry, interplay, pivotal, underscores, highlights, garnered, enduring, align/aligns, showcase, intricate, nuanced, multifaceted, comprehensive, robust, leverage, utilize, facilitate, seamless, holistic, synergy, paradigm, ecosystem, landscape, realm, sphere, arena
+
+BANNED TRANSITIONS: "It is important to note", "In summary", "In conclusion", "Moreover", "Furthermore", "Additionally", "In today's world", "At the end of the day", "When it comes to", "Interestingly", "Notably", "Importantly"
+
+BANNED PATTERNS:
+- "Not only X, but also Y" (negative parallelism)
+- "It's not just... it's..."
+- "From X to Y" unless literal coherent scale
+
+## 3. STRUCTURE AND FLOW
+
+- DELETE formulaic endings: No "In summary" or "Conclusion" paragraphs. Humans rarely summarize short text.
+
+- CUT future boilerplate: Remove "Despite challenges, the future looks bright" or "Future initiatives will address" unless citing a specific plan.
+
+- AVOID rule of three: Don't list exactly three items to sound comprehensive.
+
+- PREFER simple words: Don't use complex synonyms just to avoid repetition. If you mean "company" three times, say "company" three times instead of "company", "firm" and "organization".
+
+## 4. FORMATTING AND MECHANICS
+
+- DRASTICALLY reduce em-dashes (—). Use commas, periods, or parentheses.
+- Use sentence case for headings, not Title Case
+- No bold for emphasis within paragraphs
+- No "**Header:** value" bullets or paragraphs
+- Use one quote style throughout; don't mix curly and straight quotes
+- No emojis in headings or professional text
+- Remove chatbot artifacts ("I hope this helps", "As of my last update", "Feel free to ask")
+- Flag or remove vague citations ("Observers say", "Studies show", "Experts believe")
+- Remove date disclaimers ("As of January 2024", "my knowledge cutoff")
+
+## OUTPUT RULES
+
+Keep HTML comments that start with "ai-writer-" (such as <!-- ai-writer-disable-next-line -->) exactly as written and on the same lines relative to the text around them.
+
+Return ONLY the rewritten text. No meta-commentary. No explanations of changes. No "Here is the revised version" preamble. Just the clean, humanized text.`;
+}
+
+function getDraftPrompt(task) {
+  return `Write the following, applying all humanization rules from your instructions:
+
+TASK: ${task}
+
+Remember:
+- Concrete details over generic praise
+- No banned vocabulary or patterns
+- Short, direct sentences
+- No formulaic structure
+- Sound like a thoughtful human, not a press release`;
+}
+
+function getRewritePrompt(text) {
+  return `Rewrite the following text to eliminate all AI patterns. Apply every rule from your instructions rigorously.
+
+INPUT TEXT:
+${text}
+
+Return only the humanized version. No commentary.`;
+}
+
+function getRepairPrompt(text, issues, discrepancies = [], rejected = []) {
+  const issueList = issues
+    .slice(0, 10)
+    .map((i) => `- Line ${i.line}: "${i.match}" (${i.description})`)
+    .join("\n");
+  const factList = discrepancies
+    .slice(0, 10)
+    .map((d) => `- ${describeDiscrepancy(d)}`)
+    .join("\n");
+
+  const sections = [];
+  if (issues.length > 0) sections.push(`The following text still has AI patterns. Fix these specific issues:\n\n${issueList}`);
+  if (discrepancies.length > 0) sections.push(`The text no longer matches the original's facts. Restore them exactly:\n\n${factList}`);
+  if (rejected.length > 0) {
+    sections.push(
+      `Your previous repair was rejected because it ${rejected.join("; ")}. Keep every heading, link, number and code block, and keep the length close to the original.`
+    );
+  }
+
+  return `${sections.join("\n\n")}
+
+TEXT TO REPAIR:
+${text}
+
+Return only the fixed text. No commentary.`;
+}
+
+// =============================================================================
+// PROVIDERS
+// =============================================================================
+
+// A provider turns a chat request into text:
+//   { name, defaultModel, endpoint?, complete({ messages, model, temperature, onToken }) -> { text, usage } }
+// `endpoint` is the server it talks to, so the cache can tell servers apart.
+// Providers that can stream pass each piece of text to `onToken` as it
+// arrives; the others just return. The SDK is only loaded by the adapters
+// that need it.
+
+const PROVIDERS = ["openai", "azure", "anthropic", "compatible", "mock"];
+const ANTHROPIC_MODEL = "claude-3-5-sonnet-latest";
+const ANTHROPIC_VERSION = "2023-06-01";
+const AZURE_API_VERSION = "2024-10-21";
+
+function requireEnv(value, name) {
+  if (!value) throw new Error(`${name} is not set.`);
+  return value;
+}
+
+function openAIUsage(usage) {
+  return usage && { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens };
+}
+
+// Adapter for the openai SDK, shared by the OpenAI, Azure and compatible providers
+function openAIChatProvider(name, client, defaultModel, endpoint) {
+  return {
+    name,
+    defaultModel,
+    endpoint,
+    async complete({ messages, model, temperature, signal, onToken }) {
+      if (!onToken) {
+        const resp = await client.chat.completions.create({ model, temperature, messages }, { signal });
+        return { text: resp.choices[0]?.message?.content?.trim() ?? "", usage: openAIUsage(resp.usage) };
+      }
+
+      // The usage arrives in a final chunk with no choices
+      const stream = await client.chat.completions.create(
+        { model, temperature, messages, stream: true, stream_options: { include_usage: true } },
+        { signal }
+      );
+      let text = "";
+      let usage;
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+        if (chunk.usage) usage = openAIUsage(chunk.usage);
+      }
+      return { text: text.trim(), usage };
+    },
+  };
+}
+
+function createOpenAIProvider(options) {
+  const OpenAI = require("openai");
+  const apiKey = requireEnv(options.apiKey || process.env.OPENAI_API_KEY, "OPENAI_API_KEY");
+  // Retries and timeouts are handled by chat(), not the SDK
+  const baseURL = options.baseURL || process.env.OPENAI_BASE_URL;
+  const client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+  return openAIChatProvider("openai", client, DEFAULT_MODEL, baseURL);
+}
+
+// The model name is used as the Azure deployment name unless `deployment` is set
+function createAzureProvider(options) {
+  const { AzureOpenAI } = require("openai");
+  const endpoint = requireEnv(options.endpoint || process.env.AZURE_OPENAI_ENDPOINT, "AZURE_OPENAI_ENDPOINT");
+  const client = new AzureOpenAI({
+    apiKey: requireEnv(options.apiKey || process.env.AZURE_OPENAI_API_KEY, "AZURE_OPENAI_API_KEY"),
+    endpoint,
+    apiVersion: options.apiVersion || process.env.OPENAI_API_VERSION || AZURE_API_VERSION,
+    deployment: options.deployment,
+    maxRetries: 0,
+  });
+  return openAIChatProvider("azure", client, options.deployment || DEFAULT_MODEL, endpoint);
+}
+
+// llama.cpp, Ollama, vLLM and anything else that speaks the OpenAI chat API
+function createCompatibleProvider(options) {
+  const OpenAI = require("openai");
+  const baseURL = requireEnv(options.baseURL || process.env.AI_WRITER_BASE_URL, "AI_WRITER_BASE_URL (or --base-url)");
+  // Local servers usually ignore the key, but the SDK insists on one
+  const apiKey = options.apiKey || process.env.AI_WRITER_API_KEY || "not-needed";
+  return openAIChatProvider("compatible", new OpenAI({ apiKey, baseURL, maxRetries: 0 }), DEFAULT_MODEL, baseURL);
+}
+
+// Errors reported inside a stream carry a type but no HTTP status
+const ANTHROPIC_STREAM_STATUSES = { overloaded_error: 529, api_error: 500, rate_limit_error: 429 };
+
+function anthropicError(message, status, type, headers) {
+  const error = new Error(message);
+  error.status = status;
+  error.type = type;
+  error.headers = headers;
+  return error;
+}
+
+// Yields the JSON payload of each `data:` line of a server-sent event stream
+async function* serverSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith("data:")) yield JSON.parse(line.slice(5));
+    }
+  }
+  if (buffer.startsWith("data:")) yield JSON.parse(buffer.slice(5));
+}
+
+// Anthropic's Messages API over fetch, so no extra SDK is needed
+function createAnthropicProvider(options) {
+  const apiKey = requireEnv(options.apiKey || process.env.ANTHROPIC_API_KEY, "ANTHROPIC_API_KEY");
+  const baseURL = (options.baseURL || "https://api.anthropic.com").replace(/\/$/, "");
+
+  return {
+    name: "anthropic",
+    defaultModel: process.env.AI_WRITER_MODEL || ANTHROPIC_MODEL,
+    endpoint: baseURL,
+    async complete({ messages, model, temperature, signal, onToken }) {
+      const system = messages.filter((m) => m.role === "system").map((m) => m.content).join("\n\n");
+      const res = await fetch(`${baseURL}/v1/messages`, {
+        method: "POST",
+        signal,
+        headers: {
+          "content-type": "application/json",
+          "x-api-key": apiKey,
+          "anthropic-version": ANTHROPIC_VERSION,
+        },
+        body: JSON.stringify({
+          model,
+          temperature,
+          max_tokens: options.maxTokens || 4096,
+          system: system || undefined,
+          messages: messages.filter((m) => m.role !== "system"),
+          stream: Boolean(onToken),
+        }),
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw anthropicError(body.error?.message || `Anthropic API error ${res.status}`, res.status, body.error?.type, Object.fromEntries(res.headers.entries()));
+      }
+
+      if (onToken) {
+        let text = "";
+        const usage = { promptTokens: 0, completionTokens: 0 };
+        for await (const event of serverSentEvents(res.body)) {
+          if (event.type === "message_start") usage.promptTokens = event.message.usage?.input_tokens ?? 0;
+          else if (event.type === "message_delta") usage.completionTokens = event.usage?.output_tokens ?? 0;
+          else if (event.type === "content_block_delta" && event.delta.type === "text_delta") {
+            text += event.delta.text;
+            onToken(event.delta.text);
+          } else if (event.type === "error") {
+            const { type, message } = event.error || {};
+            throw anthropicError(message || "Anthropic stream error", ANTHROPIC_STREAM_STATUSES[type], type);
+          }
+        }
+        return { text: text.trim(), usage };
+      }
+
+      const body = await res.json().catch(() => ({}));
+      return {
+        text: (body.content || []).filter((part) => part.type === "text").map((part) => part.text).join("").trim(),
+        usage: body.usage && {
+          promptTokens: body.usage.input_tokens,
+          completionTokens: body.usage.output_tokens,
+        },
+      };
+    },
+  };
+}
+
+function responseKey(model, messages) {
+  return crypto.createHash("sha256").update(JSON.stringify({ model, messages })).digest("hex");
+}
+
+function readRecording(file) {
+  if (!fs.existsSync(file)) return [];
+  const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(entries)) throw new Error(`Recorded responses in ${file} must be an array`);
+  return entries.map((entry) => (typeof entry === "string" ? { response: entry } : entry));
+}
+
+// Replays recorded responses: an entry whose `key` matches the request wins,
+// otherwise the next unused entry is served. Runs out -> error.
+function createMockProvider(options) {
+  const entries = Array.isArray(options.responses)
+    ? options.responses.map((entry) => (typeof entry === "string" ? { response: entry } : entry))
+    : readRecording(requireEnv(options.responses || process.env.AI_WRITER_MOCK_RESPONSES, "AI_WRITER_MOCK_RESPONSES (or --mock-responses)"));
+  const used = new Set();
+
+  return {
+    name: "mock",
+    defaultModel: "mock",
+    async complete({ messages, model, onToken }) {
+      const key = responseKey(model, messages);
+      let idx = entries.findIndex((entry, i) => !used.has(i) && entry.key === key);
+      if (idx === -1) idx = entries.findIndex((entry, i) => !used.has(i) && !entry.key);
+      if (idx === -1) idx = entries.findIndex((_, i) => !used.has(i));
+      if (idx === -1) throw new Error(`Mock provider has no response left for request ${key.slice(0, 12)}`);
+      used.add(idx);
+      // Streamed a word at a time, like a real model would
+      if (onToken) entries[idx].response.split(/(?<=\s)/).forEach((piece) => onToken(piece));
+      return { text: entries[idx].response, usage: entries[idx].usage };
+    },
+  };
+}
+
+function createProvider(name = "openai", options = {}) {
+  if (name === "openai") return createOpenAIProvider(options);
+  if (name === "azure") return createAzureProvider(options);
+  if (name === "anthropic") return createAnthropicProvider(options);
+  if (name === "compatible") return createCompatibleProvider(options);
+  if (name === "mock") return createMockProvider(options);
+  throw new Error(`Unknown provider: ${name} (expected one of ${PROVIDERS.join(", ")})`);
+}
+
+// Wraps a provider and appends every exchange to `file` in the format the
+// mock provider replays
+function recordResponses(provider, file) {
+  const entries = readRecording(file);
+  return {
+    ...provider,
+    async complete(request) {
+      const result = await provider.complete(request);
+      entries.push({ key: responseKey(request.model, request.messages), model: request.model, response: result.text, usage: result.usage });
+      fs.writeFileSync(file, `${JSON.stringify(entries, null, 2)}\n`, "utf8");
+      return result;
+    },
+  };
+}
+
+// ---------- Response cache ----------
+
+const CACHE_TTL_HOURS = 24 * 7;
+const CACHE_MAX_MEGABYTES = 50;
+
+function defaultCacheDir() {
+  if (process.env.AI_WRITER_CACHE_DIR) return process.env.AI_WRITER_CACHE_DIR;
+  return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"), "ai-writer");
+}
+
+function cacheEntries(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => {
+      const file = path.join(dir, name);
+      const { size, mtimeMs } = fs.statSync(file);
+      return { file, size, mtimeMs };
+    });
+}
+
+// Drops the oldest entries until the cache fits in `maxBytes`
+function pruneCache(dir, maxBytes) {
+  const entries = cacheEntries(dir).sort((a, b) => a.mtimeMs - b.mtimeMs);
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  for (const entry of entries) {
+    if (total <= maxBytes) break;
+    fs.rmSync(entry.file, { force: true });
+    total -= entry.size;
+  }
+}
+
+// Wraps a provider so identical requests (same provider, endpoint, model,
+// temperature and messages) are answered from files in `dir` instead of the API
+function cacheResponses(provider, options = {}) {
+  const { dir = defaultCacheDir(), ttlHours = CACHE_TTL_HOURS, maxMegabytes = CACHE_MAX_MEGABYTES } = options;
+
+  return {
+    ...provider,
+    async complete(request) {
+      const { model, temperature, messages } = request;
+      const key = crypto
+        .createHash("sha256")
+        .update(JSON.stringify({ provider: provider.name, endpoint: provider.endpoint, model, temperature, messages }))
+        .digest("hex");
+      const file = path.join(dir, `${key}.json`);
+
+      if (fs.existsSync(file)) {
+        const ageHours = (Date.now() - fs.statSync(file).mtimeMs) / 3600000;
+        let entry = null;
+        try {
+          if (ageHours <= ttlHours) entry = JSON.parse(fs.readFileSync(file, "utf8"));
+        } catch {
+          // A truncated or corrupt entry is a miss
+        }
+        if (entry && typeof entry.text === "string") {
+          if (request.onToken) request.onToken(entry.text);
+          return { text: entry.text, usage: entry.usage, cached: true };
+        }
+        fs.rmSync(file, { force: true });
+      }
+
+      const result = await provider.complete(request);
+      fs.mkdirSync(dir, { recursive: true });
+      // Written under a temporary name first so a concurrent reader never sees half a file
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ model, text: result.text, usage: result.usage }), "utf8");
+      fs.renameSync(tmp, file);
+      pruneCache(dir, maxMegabytes * 1024 * 1024);
+      return result;
+    },
+  };
+}
+
+// Deletes every cached response; returns how many there were
+function clearCache(dir = defaultCacheDir()) {
+  const entries = cacheEntries(dir);
+  entries.forEach((entry) => fs.rmSync(entry.file, { force: true }));
+  return entries.length;
+}
+
+// ---------- Errors and retries ----------
+
+// Failures the CLI reports with their own exit codes. `status` is the HTTP
+// status when there was one; the provider's original error is the `cause`.
+class ProviderError extends Error {
+  constructor(message, { status, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+class AuthError extends ProviderError {}
+class QuotaError extends ProviderError {}
+class ContextLengthError extends ProviderError {}
+class TimeoutError extends ProviderError {}
+class RetryError extends ProviderError {}
+
+const NETWORK_DEFAULTS = { retries: 4, requestTimeoutSeconds: 120, totalTimeoutSeconds: 600 };
+const TRANSIENT_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+const NETWORK_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "ENOTFOUND", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"];
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+function networkCode(error) {
+  const code = error.code || error.cause?.code;
+  if (NETWORK_CODES.includes(code)) return code;
+  if (error.name === "APIConnectionError" || error.name === "APIConnectionTimeoutError") return error.name;
+  if (error instanceof TypeError && error.message === "fetch failed") return "fetch failed";
+  return null;
+}
+
+// Maps a provider failure to { error, transient }: non-transient errors are
+// rethrown as they are, transient ones are retried
+function classifyError(error) {
+  if (error instanceof ProviderError) return { error, transient: error instanceof TimeoutError };
+
+  const status = error.status;
+  const detail = `${error.code || ""} ${error.type || ""} ${error.error?.type || ""} ${error.message || ""}`;
+  const message = error.message || String(error);
+
+  if (status === 401 || status === 403) {
+    return { error: new AuthError(`Authentication failed (${status}): ${message}`, { status, cause: error }) };
+  }
+  if (status === 429 && /insufficient_quota|quota|billing|credit balance/i.test(detail)) {
+    return { error: new QuotaError(`Quota exhausted: ${message}`, { status, cause: error }) };
+  }
+  if ((status === 400 || status === 413) && /context_length_exceeded|context length|context window|maximum.*tokens|too many tokens|prompt is too long|too large/i.test(detail)) {
+    return { error: new ContextLengthError(`Input too long for the model: ${message}`, { status, cause: error }) };
+  }
+  if (TRANSIENT_STATUSES.includes(status) || networkCode(error)) {
+    return { error, transient: true };
+  }
+  return { error: new ProviderError(message, { status, cause: error }) };
+}
+
+function headerValue(headers, name) {
+  if (!headers) return undefined;
+  return typeof headers.get === "function" ? headers.get(name) : headers[name];
+}
+
+// "1s", "6m0s", "20ms" as used by OpenAI's x-ratelimit-reset-* headers
+function parseDuration(value) {
+  const parts = String(value).match(/(\d+(?:\.\d+)?)(ms|h|m|s)/g);
+  if (!parts) return null;
+  const unit = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  return parts.reduce((sum, part) => {
+    const [, n, u] = part.match(/([\d.]+)(ms|h|m|s)/);
+    return sum + Number(n) * unit[u];
+  }, 0);
+}
+
+// How long the server asked us to wait, in ms, or null
+function requestedDelay(error) {
+  const headers = error.headers;
+  const ms = Number(headerValue(headers, "retry-after-ms"));
+  if (ms > 0) return ms;
+  const after = headerValue(headers, "retry-after");
+  if (after) {
+    const seconds = Number(after);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(after);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  const resets = ["x-ratelimit-reset-requests", "x-ratelimit-reset-tokens"]
+    .map((name) => headerValue(headers, name))
+    .filter(Boolean)
+    .map(parseDuration)
+    .filter((value) => value !== null);
+  return resets.length > 0 ? Math.max(...resets) : null;
+}
+
+// Exponential backoff with jitter, unless the server said how long to wait
+function retryDelay(error, attempt) {
+  const requested = requestedDelay(error);
+  if (requested !== null) return requested;
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+function describeFailure(error) {
+  if (error instanceof TimeoutError) return error.message;
+  if (error.status === 429) return "Rate limited (429)";
+  if (error.status) return `Server error (${error.status})`;
+  return `Network error (${networkCode(error)})`;
+}
+
+// Runs one provider request, aborting it after `ms`
+async function withTimeout(run, ms) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new TimeoutError(`Request timed out after ${ms / 1000}s`));
+    }, ms);
+  });
+  try {
+    return await Promise.race([run(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+let _provider = null;
+
+function getDefaultProvider() {
+  if (!_provider) _provider = createProvider("openai");
+  return _provider;
+}
+
+// ---------- Usage and cost ----------
+
+// USD per million tokens. Models not listed match the longest listed prefix
+// ("gpt-4o-2024-08-06" -> "gpt-4o"); the config's `prices` adds to or overrides these.
+const PRICES = {
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "claude-3-5-sonnet": { input: 3, output: 15 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  mock: { input: 0, output: 0 },
+};
+
+// Collects token counts per pipeline phase and prices them. Cached responses
+// are counted but cost nothing; responses without usage data are estimated.
+function createUsageTracker(prices = {}) {
+  const table = { ...PRICES, ...prices };
+  const phases = new Map();
+  const unpriced = new Set();
+  let estimated = false;
+
+  const price = (model) => {
+    if (table[model]) return table[model];
+    const prefix = Object.keys(table)
+      .filter((key) => model.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? table[prefix] : null;
+  };
+  const costOf = (model, promptTokens, completionTokens) => {
+    const p = price(model);
+    return p ? (promptTokens * p.input + completionTokens * p.output) / 1e6 : null;
+  };
+
+  return {
+    record({ phase, model, promptTokens, completionTokens, cached = false, estimated: guess = false }) {
+      const entry = phases.get(phase) || { phase, calls: 0, cachedCalls: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+      entry.calls += 1;
+      entry.promptTokens += promptTokens;
+      entry.completionTokens += completionTokens;
+      if (cached) {
+        entry.cachedCalls += 1;
+      } else {
+        const cost = costOf(model, promptTokens, completionTokens);
+        if (cost === null) unpriced.add(model);
+        else entry.cost += cost;
+      }
+      estimated = estimated || guess;
+      phases.set(phase, entry);
+    },
+    // Spent so far, or null once a call used a model without a price
+    cost() {
+      if (unpriced.size > 0) return null;
+      return [...phases.values()].reduce((sum, entry) => sum + entry.cost, 0);
+    },
+    estimateCost: costOf,
+    summary() {
+      const list = [...phases.values()];
+      const sum = (field) => list.reduce((total, entry) => total + entry[field], 0);
+      return {
+        phases: list,
+        calls: sum("calls"),
+        cachedCalls: sum("cachedCalls"),
+        promptTokens: sum("promptTokens"),
+        completionTokens: sum("completionTokens"),
+        cost: this.cost(),
+        unpriced: [...unpriced],
+        estimated,
+      };
+    },
+  };
+}
+
+// Sends one chat request through the provider. Transient failures (rate
+// limits, 5xx, dropped connections, request timeouts) are retried with
+// backoff; everything else is thrown as one of the error classes above.
+// With `onToken` the reply is streamed; after a "retry" event it starts over.
+async function chat(messages, model, options = {}) {
+  const { onProgress = () => {}, onToken, provider = getDefaultProvider(), network = {}, usage, phase = "chat" } = options;
+  const { retries, requestTimeoutSeconds, totalTimeoutSeconds } = { ...NETWORK_DEFAULTS, ...network };
+  const deadline = Date.now() + totalTimeoutSeconds * 1000;
+  const request = { messages, model: model || provider.defaultModel, temperature: TEMPERATURE };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { text, cached, usage: counted } = await withTimeout(
+        (signal) => provider.complete({ ...request, signal, onToken }),
+        Math.min(requestTimeoutSeconds * 1000, Math.max(1, deadline - Date.now()))
+      );
+      if (cached) onProgress({ type: "cache", message: "  Served from the response cache" });
+      if (usage) {
+        usage.record({
+          phase,
+          model: request.model,
+          cached,
+          ...(counted || {
+            promptTokens: estimateTokens(messages.map((m) => m.content).join("\n")),
+            completionTokens: estimateTokens(text),
+            estimated: true,
+          }),
+        });
+      }
+      return text;
+    } catch (raw) {
+      const { error, transient } = classifyError(raw);
+      if (!transient) throw error;
+
+      const delay = retryDelay(error, attempt);
+      if (Date.now() + delay >= deadline) {
+        throw new TimeoutError(`No response within ${totalTimeoutSeconds}s (${describeFailure(error)})`, { status: error.status, cause: error });
+      }
+      if (attempt >= retries) {
+        throw new RetryError(`Gave up after ${attempt + 1} attempt(s): ${describeFailure(error)}`, { status: error.status, cause: error });
+      }
+      onProgress({
+        type: "retry",
+        message: `${describeFailure(error)}. Retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 2}/${retries + 1})...`,
+      });
+      await new Promise((r) => setTimeout(r, delay));
+    }
+  }
+}
+
+// =============================================================================
+// MEANING PRESERVATION
+// =============================================================================
+
+// Facts a rewrite must carry over unchanged. Each kind is extracted from both
+// texts; whatever one side has and the other lacks is dropped or invented,
+// and a dropped/invented pair that looks alike is reported as altered.
+
+const LINK_TARGET = /\]\(\s*<?([^)\s>]+)/g;
+const BARE_URL = /https?:\/\/[^\s)<>\]"']+/g;
+
+// Link destinations and bare URLs, less the sentence punctuation after them
+function linkTargets(text) {
+  return [...text.matchAll(LINK_TARGET)].map((m) => m[1]).concat(text.match(BARE_URL) || []).map((url) => url.replace(/[.,;:]+$/, ""));
+}
+const NUMBER = /(?<![\w.,])\d+(?:[.,]\d+)*(?!\w)/g;
+const MEANING_KINDS = ["number", "name", "url", "code", "quote"];
+const KIND_LABELS = { number: "number", name: "name", url: "URL", code: "code identifier", quote: "quote" };
+
+const CODE_SPAN = /(`+)(?!`)([\s\S]*?[^`])\1(?!`)/g;
+// snake_case, camelCase, calls and dotted paths written as plain prose
+const IDENTIFIER = /\b(?:[a-z][a-z0-9]*(?:_[a-z0-9]+)+|[a-z]+[A-Z]\w*|[A-Za-z_$][\w$]*\(\)|[A-Za-z_$][\w$]+(?:\.[A-Za-z_$][\w$]+)+)(?![\w$])/g;
+// Internal capitals (GitHub), acronyms with digits (EC2) or a capitalized word mid-sentence
+const NAME = /\b(?:[A-Z][a-z]+[A-Z][A-Za-z]*|[A-Z][A-Z0-9]+\b|[A-Z][a-z]{1,})(?![\w'’])/g;
+const SENTENCE_LEAD = /(?:^|[.!?:]["'”’)\]]*\s+|^\s*(?:[-*+]|\d+[.)])\s+|["“‘'(\[]\s*)[*_]*$/;
+const QUOTED = /"([^"\n]{2,}?)"/g;
+
+function straightQuotes(text) {
+  return text.replace(/[“”]/g, '"').replace(/[‘’]/g, "'");
+}
+
+function extractFacts(text, markdown = true) {
+  const { lines: masked, blocks } = markdown ? maskMarkdown(text) : { lines: text.split(/\r?\n/), blocks: [] };
+  const raw = text.split(/\r?\n/).filter((_, idx) => !["code", "frontmatter"].includes(blocks[idx])).join("\n");
+  const paragraphs = buildParagraphs(masked, blocks).map((para) => ({ ...para, text: straightQuotes(para.text) }));
+  const prose = paragraphs.map((para) => para.text);
+
+  const code = markdown ? [...raw.matchAll(CODE_SPAN)].map((m) => m[2].trim()) : [];
+  const names = [];
+  paragraphs.forEach(({ text: para, block }) => {
+    code.push(...(para.match(IDENTIFIER) || []));
+    for (const m of para.matchAll(NAME)) {
+      const acronymOrInner = /[A-Z0-9]/.test(m[0].slice(1));
+      // Headings capitalize ordinary words, so only their acronyms and inner-capital names count
+      if (!acronymOrInner && (block === "heading" || SENTENCE_LEAD.test(para.slice(0, m.index)) || STOPWORDS.has(m[0].toLowerCase()))) continue;
+      names.push(m[0]);
+    }
+  });
+
+  return {
+    number: prose.flatMap((para) => para.match(NUMBER) || []).map((n) => n.replace(/,(?=\d{3}\b)/g, "")),
+    name: names,
+    url: linkTargets(raw),
+    code,
+    quote: prose.flatMap((para) => [...para.matchAll(QUOTED)].map((m) => m[1].trim())),
+  };
+}
+
+function similarity(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const next = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = prev[j];
+      prev[j] = next;
+    }
+  }
+  return 1 - prev[b.length] / Math.max(a.length, b.length, 1);
+}
+
+// Returns [{ kind, change: "dropped" | "altered" | "invented", expected?, found? }]
+function verifyMeaning(input, output, options = {}) {
+  const { markdown = true } = options;
+  const before = extractFacts(input, markdown);
+  const after = extractFacts(output, markdown);
+  // Names are looked up in the whole other text, so a word that moved to the start of a sentence still counts
+  const inputText = straightQuotes(input);
+  const outputText = straightQuotes(output);
+  const hasName = (text, name) => new RegExp(`(?<![\\w'’])${escapeRegExp(name)}(?![\\w'’])`).test(text);
+
+  const discrepancies = [];
+  MEANING_KINDS.forEach((kind) => {
+    const had = new Set(before[kind]);
+    const has = new Set(after[kind]);
+    const dropped = [...had].filter((v) => (kind === "name" ? !hasName(outputText, v) : !has.has(v)));
+    const invented = [...has].filter((v) => (kind === "name" ? !hasName(inputText, v) : !had.has(v)));
+
+    dropped.forEach((expected) => {
+      // A changed number is always a changed number; anything else has to look like the original
+      const idx = kind === "number" ? (invented.length > 0 ? 0 : -1) : invented.findIndex((found) => similarity(expected, found) >= 0.5);
+      if (idx === -1) {
+        discrepancies.push({ kind, change: "dropped", expected });
+      } else {
+        discrepancies.push({ kind, change: "altered", expected, found: invented[idx] });
+        invented.splice(idx, 1);
+      }
+    });
+    invented.forEach((found) => discrepancies.push({ kind, change: "invented", found }));
+  });
+
+  return discrepancies;
+}
+
+function describeDiscrepancy(d) {
+  const label = KIND_LABELS[d.kind];
+  if (d.change === "dropped") return `Dropped ${label} "${d.expected}"`;
+  if (d.change === "altered") return `Changed ${label} "${d.expected}" to "${d.found}"`;
+  return `Added ${label} "${d.found}" that the original does not mention`;
+}
+
+// =============================================================================
+// PIPELINE
+// =============================================================================
+
+// The draft is linted and repaired by runRepairLoop(), which takes `rules`,
+// `markdown` and `maxLoops` from the same options
+async function generateText(task, options = {}) {
+  const {
+    provider = getDefaultProvider(),
+    model = provider.defaultModel,
+    config = {},
+    network = config.network,
+    usage = createUsageTracker(config.prices),
+    onProgress = () => {},
+    onToken,
+  } = options;
+
+  onProgress({ type: "start", message: `Generating with ${model}` });
+  onProgress({ type: "phase", message: "Phase 1: Initial draft..." });
+
+  const text = await chat(
+    [
+      { role: "system", content: getSystemPrompt(config) },
+      { role: "user", content: getDraftPrompt(task) },
+    ],
+    model,
+    { onProgress, onToken, provider, network, usage, phase: "draft" }
+  );
+
+  return runRepairLoop(text, { ...options, model, provider, usage });
+}
+
+async function rewriteText(inputText, options = {}) {
+  const {
+    maxLoops = MAX_LOOPS_DEFAULT,
+    provider = getDefaultProvider(),
+    model = provider.defaultModel,
+    markdown = true,
+    config = {},
+    network = config.network,
+    chunkTokens = config.chunkTokens ?? CHUNK_TOKENS_DEFAULT,
+    usage = createUsageTracker(config.prices),
+    onProgress = () => {},
+    onToken,
+  } = options;
+
+  if (chunkTokens > 0 && estimateTokens(inputText) > chunkTokens) {
+    const chunks = splitChunks(inputText, { maxTokens: chunkTokens, markdown });
+    if (chunks.length > 1) return rewriteChunks(inputText, chunks, { ...options, model, provider, usage });
+  }
+
+  const estimate = estimateBudget([inputText], { config, maxLoops });
+  onProgress({ type: "start", message: `Rewriting with ${model}` });
+  onProgress({ type: "budget", message: `Token budget: up to ~${estimate.tokens} tokens in ${estimate.calls} call(s)`, tokens: estimate.tokens });
+  onProgress({ type: "phase", message: "Phase 1: Initial rewrite..." });
+
+  let text = await chat(
+    [
+      { role: "system", content: getSystemPrompt(config) },
+      { role: "user", content: getRewritePrompt(inputText) },
+    ],
+    model,
+    { onProgress, onToken, provider, network, usage, phase: "rewrite" }
+  );
+
+  const result = await runRepairLoop(text, { ...options, model, provider, usage, reference: inputText });
+  // Keep the input's trailing newline so the result can replace the file as is
+  return { ...result, text: result.text.trimEnd() + inputText.match(/\s*$/)[0] };
+}
+
+// ---------- Candidate checks ----------
+
+// Word count of a candidate relative to the reference it was repaired from
+const LENGTH_RATIO_DEFAULT = { min: 0.5, max: 1.5 };
+
+const ATX_HEADING = /^ {0,3}#{1,6}(\s|$)/;
+
+// What a repair must not lose: headings, link targets, numbers and code blocks
+function structureOf(text) {
+  const { blocks } = maskMarkdown(text);
+  const lines = text.split("\n");
+  const codeBlocks = [];
+  let current = null;
+  lines.forEach((line, idx) => {
+    if (blocks[idx] === "code") {
+      if (current === null) current = [];
+      current.push(line);
+    } else if (current !== null) {
+      codeBlocks.push(current.join("\n"));
+      current = null;
+    }
+  });
+  if (current !== null) codeBlocks.push(current.join("\n"));
+
+  return {
+    words: countWords(lines),
+    headings: lines.filter((line, idx) => blocks[idx] === "heading" && ATX_HEADING.test(line)).length,
+    links: new Set(linkTargets(text)),
+    numbers: new Set(text.match(NUMBER) || []),
+    // Fence lines are compared separately from their contents
+    code: codeBlocks.map((block) => block.replace(/^ {0,3}(`{3,}|~{3,}).*$/gm, "").trim()).filter(Boolean),
+  };
+}
+
+function quoteList(items) {
+  const shown = items.slice(0, 3).map((item) => `"${item}"`).join(", ");
+  return items.length > 3 ? `${shown} and ${items.length - 3} more` : shown;
+}
+
+// Returns the reasons a candidate should be rejected; empty when it is acceptable
+function compareStructure(reference, candidate, lengthRatio = LENGTH_RATIO_DEFAULT) {
+  const before = structureOf(reference);
+  const after = structureOf(candidate);
+  const problems = [];
+
+  if (before.words > 0) {
+    const ratio = after.words / before.words;
+    if (ratio < lengthRatio.min) problems.push(`shrank to ${Math.round(ratio * 100)}% of the original length`);
+    if (ratio > lengthRatio.max) problems.push(`grew to ${Math.round(ratio * 100)}% of the original length`);
+  }
+  if (after.headings < before.headings) {
+    problems.push(`lost ${before.headings - after.headings} heading(s)`);
+  }
+  const lostLinks = [...before.links].filter((link) => !after.links.has(link));
+  if (lostLinks.length > 0) problems.push(`lost link(s) ${quoteList(lostLinks)}`);
+  const lostNumbers = [...before.numbers].filter((n) => !after.numbers.has(n));
+  if (lostNumbers.length > 0) problems.push(`lost number(s) ${quoteList(lostNumbers)}`);
+  const lostCode = before.code.filter((block) => !after.code.includes(block));
+  if (lostCode.length > 0) problems.push(`lost or changed ${lostCode.length} code block(s)`);
+
+  return problems;
+}
+
+// With repairMeaning, fewer meaning discrepancies beat a higher score
+function isBetter(result, best, repairMeaning) {
+  if (repairMeaning && result.meaning.length !== best.meaning.length) return result.meaning.length < best.meaning.length;
+  return result.score > best.score || (result.score === best.score && result.hits.length < best.hits.length);
+}
+
+// Every repair is a candidate. The best-scoring acceptable one is returned;
+// the loop stops as soon as a clean repair fails to beat it. A first draft
+// that fails the structure checks is rejected too, and the input is repaired
+// in its place.
+async function runRepairLoop(text, options = {}) {
+  const {
+    maxLoops = MAX_LOOPS_DEFAULT,
+    provider = getDefaultProvider(),
+    model = provider.defaultModel,
+    markdown = true,
+    rules = LINT_RULES,
+    config = {},
+    network = config.network,
+    reference = text,
+    lengthRatio = { ...LENGTH_RATIO_DEFAULT, ...config.lengthRatio },
+    repairMeaning = Boolean(config.repairMeaning),
+    usage = createUsageTracker(config.prices),
+    budget = config.budget,
+    suppressions,
+    onProgress = () => {},
+  } = options;
+
+  const evaluate = (candidate) => ({
+    ...lint(candidate, { markdown, rules, scoring: config.scoring, suppressions }),
+    meaning: verifyMeaning(reference, candidate, { markdown }),
+  });
+
+  const draft = { text, ...evaluate(text) };
+  const draftProblems = reference === text ? [] : compareStructure(reference, text, lengthRatio);
+  const candidates = [
+    { loop: 0, score: draft.score, issues: draft.hits.length, meaning: draft.meaning.length, problems: draftProblems, accepted: draftProblems.length === 0 },
+  ];
+  let best = draftProblems.length === 0 ? draft : { text: reference, ...evaluate(reference) };
+  let loops = 0;
+  let unpricedWarned = false;
+  // Problems of the last rejected candidate, so the retry isn't the same request again
+  let rejected = draftProblems;
+
+  const initialChanges = draft.meaning.length > 0 ? `, Meaning changes: ${draft.meaning.length}` : "";
+  onProgress({ type: "score", message: `Initial score: ${draft.score}, Issues: ${draft.hits.length}${initialChanges}`, score: draft.score, hits: draft.hits.length });
+  if (draftProblems.length > 0) {
+    onProgress({ type: "warning", message: `  Rejected draft: ${draftProblems.join("; ")}; repairing the input instead` });
+  }
+
+  while ((best.hits.length > 0 || (repairMeaning && best.meaning.length > 0)) && loops < maxLoops) {
+    const messages = [
+      { role: "system", content: getSystemPrompt(config) },
+      { role: "user", content: getRepairPrompt(best.text, best.hits, repairMeaning ? best.meaning : [], rejected) },
+    ];
+
+    // The next call is priced from its prompt and a reply as long as the draft
+    if (budget !== undefined) {
+      const spent = usage.cost();
+      const next = usage.estimateCost(model, estimateTokens(messages.map((m) => m.content).join("\n")), estimateTokens(best.text));
+      if (spent === null || next === null) {
+        if (!unpricedWarned) onProgress({ type: "warning", message: `  No price known for ${model}; the budget can't be enforced` });
+        unpricedWarned = true;
+      } else if (spent + next > budget) {
+        onProgress({
+          type: "warning",
+          message: `  Stopping: the next repair (~$${next.toFixed(4)}) would take the run past the $${budget} budget ($${spent.toFixed(4)} spent)`,
+        });
+        break;
+      }
+    }
+
+    onProgress({ type: "phase", message: `Phase ${loops + 2}: Repair loop ${loops + 1}/${maxLoops}...` });
+
+    const candidate = await chat(messages, model, { onProgress, provider, network, usage, phase: `repair ${loops + 1}` });
+    loops += 1;
+
+    const result = evaluate(candidate);
+    const problems = compareStructure(reference, candidate, lengthRatio);
+    const accepted = problems.length === 0 && isBetter(result, best, repairMeaning);
+    candidates.push({ loop: loops, score: result.score, issues: result.hits.length, meaning: result.meaning.length, problems, accepted });
+
+    const changed = result.meaning.length > 0 ? `, Meaning changes: ${result.meaning.length}` : "";
+    onProgress({ type: "score", message: `  Score: ${result.score}, Issues: ${result.hits.length}${changed}`, score: result.score, hits: result.hits.length });
+
+    // A rejected candidate gets another try from the best draft; a clean one that doesn't improve ends the loop
+    if (problems.length > 0) {
+      onProgress({ type: "warning", message: `  Rejected: ${problems.join("; ")}` });
+      rejected = problems;
+      continue;
+    }
+    if (!accepted) {
+      onProgress({ type: "phase", message: `  No improvement over score ${best.score}; keeping the best draft` });
+      break;
+    }
+    best = { text: candidate, ...result };
+    rejected = [];
+  }
+
+  return { text: best.text, score: best.score, categories: best.categories, hits: best.hits, meaning: best.meaning, loops, candidates, usage: usage.summary() };
+}
+
+// ---------- Chunking ----------
+
+// Long inputs are rewritten a chunk at a time so each call carries only the
+// part of the document that needs work
+const CHUNK_TOKENS_DEFAULT = 1500;
+const CHUNK_CONCURRENCY = 4;
+
+// Rough token count (about four characters per token for English)
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Splits `text` into consecutive line ranges: whole Markdown sections where
+// they fit in `maxTokens`, otherwise their paragraphs, packed greedily.
+// Joining the chunk texts with "\n" gives back `text` exactly.
+function splitChunks(text, options = {}) {
+  const { maxTokens = CHUNK_TOKENS_DEFAULT, markdown = true } = options;
+  const lines = text.split("\n");
+  const { blocks } = markdown ? maskMarkdown(text) : { blocks: lines.map((line) => (line.trim() ? "paragraph" : "blank")) };
+  const size = (from, to) => estimateTokens(lines.slice(from, to).join("\n"));
+
+  const ranges = (from, to, startsUnit) => {
+    const out = [];
+    let start = from;
+    for (let idx = from + 1; idx < to; idx++) {
+      if (startsUnit(idx)) {
+        out.push([start, idx]);
+        start = idx;
+      }
+    }
+    out.push([start, to]);
+    return out;
+  };
+
+  const sections = ranges(0, lines.length, (idx) => blocks[idx] === "heading" && ATX_HEADING.test(lines[idx]));
+  const units = sections.flatMap(([from, to]) =>
+    size(from, to) <= maxTokens
+      ? [[from, to]]
+      : ranges(from, to, (idx) => blocks[idx - 1] === "blank" && blocks[idx] !== "blank")
+  );
+
+  const chunks = [];
+  units.forEach(([from, to]) => {
+    const last = chunks[chunks.length - 1];
+    if (last && size(last[0], to) <= maxTokens) last[1] = to;
+    else chunks.push([from, to]);
+  });
+
+  return chunks.map(([from, to]) => ({ line: from + 1, lineCount: to - from, text: lines.slice(from, to).join("\n") }));
+}
+
+// Upper bound for a rewrite plus every repair loop of each text
+function estimateBudget(texts, { config = {}, maxLoops = MAX_LOOPS_DEFAULT } = {}) {
+  const system = estimateTokens(getSystemPrompt(config));
+  const calls = texts.length * (1 + maxLoops);
+  const tokens = texts.reduce((sum, text) => sum + (system + 2 * estimateTokens(text)) * (1 + maxLoops), 0);
+  return { tokens, calls };
+}
+
+// Document suppressions from directives outside lines first..last that cover
+// any of them, renumbered from `first`. A disable range closed inside keeps
+// going until the enable directive in the chunk.
+function inheritedSuppressions(suppressions, first, last) {
+  return suppressions
+    .filter((s) => (s.line < first || s.line > last) && s.startLine <= last && s.endLine >= first)
+    .map((s) => ({
+      rule: s.rule,
+      startLine: Math.max(1, s.startLine - first + 1),
+      endLine: s.endLine > last ? Infinity : s.endLine - first + 1,
+      open: s.kind === "disable" && s.endLine <= last,
+    }));
+}
+
+// Rewrites only the chunks with hits, `concurrency` at a time; clean chunks
+// are kept byte-for-byte
+async function rewriteChunks(inputText, chunks, options) {
+  const {
+    maxLoops = MAX_LOOPS_DEFAULT,
+    model,
+    markdown = true,
+    rules = LINT_RULES,
+    config = {},
+    concurrency = CHUNK_CONCURRENCY,
+    usage = createUsageTracker(config.prices),
+    onProgress = () => {},
+  } = options;
+
+  const { hits } = lint(inputText, { markdown, rules });
+  const lines = inputText.split(/\r?\n/);
+  const documentSuppressions = parseSuppressions(lines, markdown ? maskMarkdown(inputText).blocks : []);
+  const dirty = chunks.filter((chunk) => hits.some((hit) => hit.line >= chunk.line && hit.line < chunk.line + chunk.lineCount));
+  const budget = estimateBudget(dirty.map((chunk) => chunk.text), { config, maxLoops });
+
+  onProgress({ type: "start", message: `Rewriting with ${model}` });
+  onProgress({
+    type: "budget",
+    message: `Token budget: up to ~${budget.tokens} tokens in ${budget.calls} call(s) (${dirty.length} of ${chunks.length} chunks need rewriting)`,
+    tokens: budget.tokens,
+  });
+
+  let loops = 0;
+  const candidates = [];
+  const rewritten = await mapLimit(chunks, concurrency, async (chunk, idx) => {
+    if (!dirty.includes(chunk)) return chunk.text;
+
+    // Surrounding blank lines stay outside the model's hands
+    const [, lead, core, tail] = chunk.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    const label = `[chunk ${idx + 1}/${chunks.length}, line ${chunk.line}]`;
+    const first = chunk.line + lead.split("\n").length - 1;
+    const result = await rewriteText(core, {
+      ...options,
+      usage,
+      chunkTokens: 0,
+      // Directives elsewhere in the document still apply to the chunk
+      suppressions: inheritedSuppressions(documentSuppressions, first, first + core.split("\n").length - 1),
+      // Chunks are rewritten side by side, so their replies would interleave
+      onToken: undefined,
+      onProgress: (event) => {
+        if (event.type !== "start" && event.type !== "budget") onProgress({ ...event, message: `${label} ${event.message.trim()}` });
+      },
+    });
+    loops += result.loops;
+    candidates.push(...result.candidates.map((candidate) => ({ ...candidate, chunk: idx + 1 })));
+    return lead + result.text + tail;
+  });
+
+  const text = rewritten.join("\n");
+  const result = lint(text, { markdown, rules, scoring: config.scoring });
+  return {
+    text,
+    score: result.score,
+    categories: result.categories,
+    hits: result.hits,
+    meaning: verifyMeaning(inputText, text, { markdown }),
+    loops,
+    candidates,
+    usage: usage.summary(),
+  };
+}
+
+// =============================================================================
+// DIFF AND REVIEW
+// =============================================================================
+
+// Largest LCS table diffSequences() builds (4 bytes a cell); bigger changes
+// fall back to the linear-space search
+const DIFF_TABLE_CELLS = 4000000;
+
+// LCS lengths of ka[a0..a1) against each prefix of kb[b0..b1), or with
+// `reverse` of the reversed ranges against each reversed suffix
+function lcsRow(ka, kb, a0, a1, b0, b1, reverse) {
+  const width = b1 - b0;
+  let prev = new Uint32Array(width + 1);
+  let cur = new Uint32Array(width + 1);
+  for (let n = 0; n < a1 - a0; n++) {
+    const x = reverse ? ka[a1 - 1 - n] : ka[a0 + n];
+    for (let m = 0; m < width; m++) {
+      const y = reverse ? kb[b1 - 1 - m] : kb[b0 + m];
+      cur[m + 1] = x === y ? prev[m] + 1 : Math.max(prev[m + 1], cur[m]);
+    }
+    [prev, cur] = [cur, prev];
+  }
+  return prev;
+}
+
+// Hirschberg's divide and conquer: an LCS walk of ka[a0..a1) and kb[b0..b1)
+// in linear space, reported step by step to `push(type, i, j)`
+function lcsWalk(ka, kb, a0, a1, b0, b1, push) {
+  if (a1 - a0 <= 1) {
+    const match = a1 > a0 ? kb.slice(b0, b1).indexOf(ka[a0]) : -1;
+    if (a1 > a0 && match === -1) push("delete", a0, b0);
+    for (let j = b0; j < b1; j++) {
+      if (j === b0 + match) push("equal", a0, j);
+      else push("insert", j < b0 + match ? a0 : a1, j);
+    }
+    return;
+  }
+  const mid = (a0 + a1) >> 1;
+  const head = lcsRow(ka, kb, a0, mid, b0, b1, false);
+  const tail = lcsRow(ka, kb, mid, a1, b0, b1, true);
+  let split = b0;
+  let most = -1;
+  for (let j = b0; j <= b1; j++) {
+    const total = head[j - b0] + tail[b1 - j];
+    if (total > most) {
+      most = total;
+      split = j;
+    }
+  }
+  lcsWalk(ka, kb, a0, mid, b0, split, push);
+  lcsWalk(ka, kb, mid, a1, split, b1, push);
+}
+
+// LCS diff of two arrays. Returns runs of { type: "equal" | "delete" | "insert",
+// aStart, bStart, a, b } where `a`/`b` hold the items taken from each side.
+// Deletions come before insertions within a change.
+function diffSequences(a, b, key = (x) => x) {
+  const ka = a.map(key);
+  const kb = b.map(key);
+
+  const runs = [];
+  const push = (type, i, j) => {
+    const last = runs[runs.length - 1];
+    if (!last || last.type !== type) runs.push({ type, aStart: i, bStart: j, a: [], b: [] });
+    const run = runs[runs.length - 1];
+    if (type !== "insert") run.a.push(a[i]);
+    if (type !== "delete") run.b.push(b[j]);
+  };
+
+  // Only the part between the common prefix and suffix needs a search
+  let start = 0;
+  while (start < a.length && start < b.length && ka[start] === kb[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && ka[endA - 1] === kb[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  for (let k = 0; k < start; k++) push("equal", k, k);
+
+  if ((endA - start + 1) * (endB - start + 1) <= DIFF_TABLE_CELLS) {
+    // lcs[i][j] = length of the longest common subsequence of a[start + i..endA] and b[start + j..endB]
+    const lcs = Array.from({ length: endA - start + 1 }, () => new Uint32Array(endB - start + 1));
+    for (let i = endA - start - 1; i >= 0; i--) {
+      for (let j = endB - start - 1; j >= 0; j--) {
+        lcs[i][j] = ka[start + i] === kb[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = start;
+    let j = start;
+    while (i < endA || j < endB) {
+      if (i < endA && j < endB && ka[i] === kb[j]) push("equal", i++, j++);
+      else if (i < endA && (j === endB || lcs[i + 1 - start][j - start] >= lcs[i - start][j + 1 - start])) push("delete", i++, j);
+      else push("insert", i, j++);
+    }
+  } else {
+    // The walk can insert before it deletes; each change is regrouped so its
+    // deletions come first
+    let change = [];
+    const flush = () => {
+      if (change.length === 0) return;
+      const j0 = change[0][2];
+      const i1 = change.reduce((end, [type, i]) => Math.max(end, type === "delete" ? i + 1 : i), 0);
+      change.filter(([type]) => type === "delete").forEach(([, i]) => push("delete", i, j0));
+      change.filter(([type]) => type === "insert").forEach(([, , j]) => push("insert", i1, j));
+      change = [];
+    };
+    lcsWalk(ka, kb, start, endA, start, endB, (type, i, j) => {
+      if (type !== "equal") {
+        change.push([type, i, j]);
+        return;
+      }
+      flush();
+      push(type, i, j);
+    });
+    flush();
+  }
+
+  for (let k = 0; k < a.length - endA; k++) push("equal", endA + k, endB + k);
+  return runs;
+}
+
+// Word-level diff: [{ type, text }] with whitespace and punctuation as their own tokens
+function diffWords(before, after) {
+  const tokenize = (text) => text.match(/\s+|[\w'’-]+|[^\s\w'’-]+/g) || [];
+  return diffSequences(tokenize(before), tokenize(after)).map((run) => ({
+    type: run.type,
+    text: (run.type === "insert" ? run.b : run.a).join(""),
+  }));
+}
+
+// Unified diff of two texts, as `diff -u` and `git apply` expect it. Empty when
+// the texts are the same.
+function formatUnifiedDiff(before, after, options = {}) {
+  const { fromFile = "a", toFile = "b", context = 3 } = options;
+  if (before === after) return "";
+
+  // A last line without a newline is a different line from the same text with one
+  const side = (text) => {
+    const lines = text.split("\n");
+    const eol = lines[lines.length - 1] === "";
+    if (eol) lines.pop();
+    return lines.map((line, idx) => ({ line, noEol: !eol && idx === lines.length - 1 }));
+  };
+  const key = (entry) => (entry.noEol ? `${entry.line}\0` : entry.line);
+
+  const ops = [];
+  let aLine = 0;
+  let bLine = 0;
+  diffSequences(side(before), side(after), key).forEach((run) => {
+    const items = run.type === "insert" ? run.b : run.a;
+    items.forEach((entry) => {
+      const prefix = run.type === "equal" ? " " : run.type === "delete" ? "-" : "+";
+      if (prefix !== "+") aLine++;
+      if (prefix !== "-") bLine++;
+      ops.push({ prefix, ...entry, aLine, bLine });
+    });
+  });
+
+  // Changed ops with `context` lines around them; ranges closer than that merge
+  const ranges = [];
+  ops.forEach((op, idx) => {
+    if (op.prefix === " ") return;
+    const start = Math.max(0, idx - context);
+    const end = Math.min(ops.length, idx + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last[1]) last[1] = end;
+    else ranges.push([start, end]);
+  });
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  ranges.forEach(([start, end]) => {
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter((op) => op.prefix !== "+").length;
+    const newCount = hunk.filter((op) => op.prefix !== "-").length;
+    // Line numbers of the first line on each side, or of the line before an empty side
+    const first = ops[start];
+    const oldStart = first.aLine - (first.prefix === "+" ? 0 : 1) + (oldCount > 0 ? 1 : 0);
+    const newStart = first.bLine - (first.prefix === "-" ? 0 : 1) + (newCount > 0 ? 1 : 0);
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.forEach((op) => {
+      out.push(`${op.prefix}${op.line}`);
+      if (op.noEol) out.push("\\ No newline at end of file");
+    });
+  });
+
+  return `${out.join("\n")}\n`;
+}
+
+// Word-level diff in `git diff --word-diff=plain` style: one block per changed
+// paragraph with [-removed-] and {+added+} words
+function formatWordDiff(before, after, options = {}) {
+  const { hunks } = buildReview(before, after, options);
+  return hunks
+    .map((hunk) => {
+      const words = diffWords(hunk.original, hunk.rewritten)
+        .map((part) => (part.type === "equal" ? part.text : part.type === "delete" ? `[-${part.text}-]` : `{+${part.text}+}`))
+        .join("");
+      return `@@ line ${hunk.line} @@\n${words}\n`;
+    })
+    .join("\n");
+}
+
+// Paragraphs with the blank lines after them, so unchanged ones can be copied back exactly
+function splitParagraphs(text) {
+  const pieces = text.split(/(\r?\n[ \t]*\r?\n\s*)/);
+  const paragraphs = [];
+  let line = 1;
+  for (let i = 0; i < pieces.length; i += 2) {
+    // The last paragraph's trailing newline counts as its separator
+    const [, body, trailing] = pieces[i].match(/^([\s\S]*?)(\s*)$/);
+    const sep = pieces[i + 1] ?? trailing;
+    const paraText = pieces[i + 1] === undefined ? body : pieces[i];
+    paragraphs.push({ text: paraText, sep, line });
+    line += (paraText + sep).split("\n").length - 1;
+  }
+  return paragraphs;
+}
+
+function joinParagraphs(paragraphs) {
+  return paragraphs.map((p, idx) => p.text + (idx < paragraphs.length - 1 ? p.sep : "")).join("");
+}
+
+// Hits from `hits` that no longer occur in `text`
+function resolvedHits(hits, text, options = {}) {
+  const remaining = new Set(lint(text, options).hits.map((hit) => `${hit.rule}:${hit.match.toLowerCase()}`));
+  return hits.filter((hit) => !remaining.has(`${hit.rule}:${hit.match.toLowerCase()}`));
+}
+
+// Pairs the paragraphs of a rewrite with the original. Unchanged paragraphs
+// are kept as they are; everything else becomes a hunk to accept or reject.
+// Equal-sized runs of changed paragraphs are split into one hunk per paragraph.
+// Hunk texts use "\n"; applyReview() puts back the document's line endings.
+function buildReview(original, rewritten, options = {}) {
+  const { markdown = true, rules = LINT_RULES } = options;
+  const { hits } = lint(original, { markdown, rules });
+  const before = splitParagraphs(original);
+  const after = splitParagraphs(rewritten.trim());
+  const runs = diffSequences(before, after, (p) => p.text.trim().replace(/\r\n/g, "\n"));
+
+  const parts = [];
+  const hunks = [];
+  const addHunk = (from, to, nextLine) => {
+    const text = joinParagraphs(from).replace(/\r\n/g, "\n");
+    const line = from.length > 0 ? from[0].line : nextLine;
+    const lastLine = line + Math.max(0, text.split("\n").length - 1);
+    const hunkHits = from.length > 0 ? hits.filter((hit) => hit.line >= line && hit.line <= lastLine) : [];
+    const rewrittenText = joinParagraphs(to).replace(/\r\n/g, "\n");
+    hunks.push({
+      line,
+      original: text,
+      rewritten: rewrittenText,
+      hits: hunkHits,
+      resolved: resolvedHits(hunkHits, rewrittenText, { markdown, rules }),
+    });
+    parts.push({ hunk: hunks.length - 1, sep: from.length > 0 ? from[from.length - 1].sep : "\n\n" });
+  };
+
+  for (let r = 0; r < runs.length; r++) {
+    const run = runs[r];
+    if (run.type === "equal") {
+      run.a.forEach((p) => parts.push({ text: p.text + p.sep }));
+      continue;
+    }
+    // A deletion followed by an insertion is one change
+    const from = run.type === "delete" ? run.a : [];
+    const to = run.type === "insert" ? run.b : runs[r + 1]?.type === "insert" ? runs[++r].b : [];
+    const nextLine = before[run.aStart]?.line ?? before[before.length - 1].line;
+    if (from.length > 1 && from.length === to.length) from.forEach((p, idx) => addHunk([p], [to[idx]], p.line));
+    else addHunk(from, to, nextLine);
+  }
+
+  return { original, parts, hunks };
+}
+
+// Reassembles the document. `choices[i]` is the text to use for hunk i, or
+// null to keep the original.
+function applyReview(review, choices) {
+  const eol = review.original.includes("\r\n") ? "\r\n" : "\n";
+  const text = review.parts
+    .map((part) => {
+      if (part.hunk === undefined) return part.text;
+      const hunk = review.hunks[part.hunk];
+      const chosen = choices[part.hunk] ?? hunk.original;
+      return chosen ? (chosen + part.sep).replace(/\r?\n/g, eol) : "";
+    })
+    .join("");
+  return text.replace(/\s*$/, review.original.match(/\s*$/)[0]);
+}
+
+// =============================================================================
+// FILE DISCOVERY
+// =============================================================================
+
+const LINT_EXTENSIONS = [".md", ".markdown", ".mdx", ".mdown", ".txt", ".text"];
+const IGNORE_FILES = [".aiwriterignore", ".gitignore"];
+const ALWAYS_IGNORED = ["node_modules", ".git"];
+
+function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*") {
+      if (glob[i + 1] === "*") {
+        // "**/" matches zero or more directories, a trailing "**" matches anything
+        if (glob[i + 2] === "/") {
+          re += "(?:.*/)?";
+          i += 2;
+        } else {
+          re += ".*";
+          i += 1;
+        }
+      } else {
+        re += "[^/]*";
+      }
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else if (ch === "[") {
+      const end = glob.indexOf("]", i + 1);
+      if (end === -1) {
+        re += "\\[";
+      } else {
+        re += `[${glob.slice(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\")}]`;
+        i = end;
+      }
+    } else if (ch === "{") {
+      const end = glob.indexOf("}", i + 1);
+      if (end === -1) {
+        re += "\\{";
+      } else {
+        const alternatives = glob.slice(i + 1, end).split(",");
+        re += `(?:${alternatives.map((alt) => globToRegExp(alt).source.slice(1, -1)).join("|")})`;
+        i = end;
+      }
+    } else {
+      re += ch.replace(/[.+^$()|\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function isGlob(pattern) {
+  return /[*?[{]/.test(pattern);
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join("/");
+}
+
+// Reads .gitignore-style files from `root`. Supports comments, negation,
+// directory-only patterns and anchored patterns; nested ignore files are not read.
+function loadIgnore(root) {
+  const rules = [];
+  IGNORE_FILES.forEach((name) => {
+    const file = path.join(root, name);
+    if (!fs.existsSync(file)) return;
+    fs.readFileSync(file, "utf8")
+      .split(/\r?\n/)
+      .forEach((raw) => {
+        let line = raw.trim();
+        if (!line || line.startsWith("#")) return;
+        const negate = line.startsWith("!");
+        if (negate) line = line.slice(1);
+        const dirOnly = line.endsWith("/");
+        if (dirOnly) line = line.slice(0, -1);
+        const anchored = line.includes("/");
+        if (line.startsWith("/")) line = line.slice(1);
+        const pattern = anchored ? line : `**/${line}`;
+        rules.push({ negate, dirOnly, regex: globToRegExp(pattern) });
+      });
+  });
+
+  return function isIgnored(relPath, isDir) {
+    const rel = toPosix(relPath);
+    if (ALWAYS_IGNORED.includes(path.posix.basename(rel))) return true;
+    let ignored = false;
+    rules.forEach((rule) => {
+      if (rule.dirOnly && !isDir) return;
+      if (rule.regex.test(rel)) ignored = !rule.negate;
+    });
+    return ignored;
+  };
+}
+
+function walk(dir, root, isIgnored, files) {
+  fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+    const full = path.join(dir, entry.name);
+    const rel = path.relative(root, full);
+    if (isIgnored(rel, entry.isDirectory())) return;
+    if (entry.isDirectory()) walk(full, root, isIgnored, files);
+    else if (entry.isFile()) files.push(full);
+  });
+  return files;
+}
+
+// Expands files, directories and glob patterns into a sorted, de-duplicated
+// list of absolute paths. Explicitly named files are never ignored.
+function collectFiles(inputs, root = process.cwd()) {
+  const isIgnored = loadIgnore(root);
+  const found = new Set();
+  const missing = [];
+
+  inputs.forEach((input) => {
+    if (isGlob(input)) {
+      const parts = toPosix(input).split("/");
+      const staticParts = [];
+      while (parts.length > 1 && !isGlob(parts[0])) staticParts.push(parts.shift());
+      const base = path.resolve(root, staticParts.join("/") || ".");
+      const regex = globToRegExp(parts.join("/"));
+      const before = found.size;
+      if (fs.existsSync(base)) {
+        walk(base, root, isIgnored, []).forEach((file) => {
+          if (regex.test(toPosix(path.relative(base, file)))) found.add(file);
+        });
+      }
+      if (found.size === before) missing.push(input);
+      return;
+    }
+
+    const full = path.resolve(root, input);
+    if (!fs.existsSync(full)) {
+      missing.push(input);
+    } else if (fs.statSync(full).isDirectory()) {
+      walk(full, root, isIgnored, [])
+        .filter((file) => LINT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .forEach((file) => found.add(file));
+    } else {
+      found.add(full);
+    }
+  });
+
+  return { files: [...found].sort(), missing };
+}
+
+// Runs `fn` over `items` with at most `limit` calls in flight, keeping order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// =============================================================================
+// BASELINE
+// =============================================================================
+
+// A baseline records the hits a project already has, so only new ones count:
+//   { "version": 1, "files": { "docs/a.md": [{ rule, match, fingerprint, count }] } }
+// Files are keyed however the caller names them; the CLI uses paths relative
+// to the baseline file.
+
+const BASELINE_VERSION = 1;
+
+// Identifies a hit without its position: the rule, the matched text and the
+// text around it, with whitespace collapsed so rewrapping a paragraph keeps it
+function fingerprintHit(hit) {
+  const context = hit.excerpt.replace(/\s+/g, " ").trim().toLowerCase();
+  return crypto
+    .createHash("sha256")
+    .update(`${hit.rule}\0${hit.match.toLowerCase()}\0${context}`)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// Records every hit in `results` ([{ file, hits }]); identical hits share an entry
+function createBaseline(results) {
+  const files = {};
+  results.forEach(({ file, hits }) => {
+    if (hits.length === 0) return;
+    const entries = new Map();
+    hits.forEach((hit) => {
+      const fingerprint = fingerprintHit(hit);
+      if (!entries.has(fingerprint)) entries.set(fingerprint, { rule: hit.rule, match: hit.match, fingerprint, count: 0 });
+      entries.get(fingerprint).count += 1;
+    });
+    files[file] = [...entries.values()];
+  });
+  return { version: BASELINE_VERSION, files };
+}
+
+// Keeps only the hits the baseline doesn't cover and scores each result again
+// on those; `baselined` counts the rest. `fixed` maps each file to the entries
+// (with the counts) that no hit matched any more.
+function applyBaseline(results, baseline, options = {}) {
+  const fixed = {};
+  const filtered = results.map((result) => {
+    const remaining = new Map((baseline.files[result.file] || []).map((entry) => [entry.fingerprint, { ...entry }]));
+    const hits = result.hits.filter((hit) => {
+      const entry = remaining.get(fingerprintHit(hit));
+      if (!entry || entry.count === 0) return true;
+      entry.count -= 1;
+      return false;
+    });
+    const gone = [...remaining.values()].filter((entry) => entry.count > 0);
+    if (gone.length > 0) fixed[result.file] = gone;
+
+    const categories = Object.keys(result.categories || {});
+    const scored = scoreHits(hits, { words: result.words, categories, scoring: options.scoring });
+    return { ...result, ...scored, hits, baselined: result.hits.length - hits.length };
+  });
+  return { results: filtered, fixed };
+}
+
+// Removes the `fixed` entries from the baseline. Returns the new baseline and
+// the number of hits it no longer covers.
+function pruneBaseline(baseline, fixed) {
+  let removed = 0;
+  const files = {};
+  Object.entries(baseline.files).forEach(([file, entries]) => {
+    const gone = new Map((fixed[file] || []).map((entry) => [entry.fingerprint, entry.count]));
+    const kept = [];
+    entries.forEach((entry) => {
+      const drop = Math.min(entry.count, gone.get(entry.fingerprint) || 0);
+      removed += drop;
+      if (entry.count > drop) kept.push({ ...entry, count: entry.count - drop });
+    });
+    if (kept.length > 0) files[file] = kept;
+  });
+  return { baseline: { version: BASELINE_VERSION, files }, removed };
+}
+
+// Loads a baseline file. Throws with every problem listed.
+function loadBaseline(file) {
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+  }
+  const errors = [];
+  if (!baseline || typeof baseline !== "object" || Array.isArray(baseline)) {
+    errors.push("expected an object with version and files");
+  } else {
+    if (baseline.version !== BASELINE_VERSION) errors.push(`version: expected ${BASELINE_VERSION}`);
+    if (!baseline.files || typeof baseline.files !== "object" || Array.isArray(baseline.files)) {
+      errors.push("files: expected an object mapping files to entries");
+    } else {
+      Object.entries(baseline.files).forEach(([name, entries]) => {
+        if (!Array.isArray(entries)) {
+          errors.push(`files.${name}: expected an array of entries`);
+          return;
+        }
+        entries.forEach((entry, idx) => {
+          const valid =
+            entry &&
+            typeof entry.rule === "string" &&
+            typeof entry.fingerprint === "string" &&
+            Number.isInteger(entry.count) &&
+            entry.count > 0;
+          if (!valid) errors.push(`files.${name}[${idx}]: expected { rule, match, fingerprint, count }`);
+        });
+      });
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid baseline in ${file}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+  return baseline;
+}
+
+// =============================================================================
+// REPORTS
+// =============================================================================
+
+const REPORT_FORMATS = ["json", "sarif", "checkstyle"];
+const SARIF_LEVELS = { critical: "error", high: "error", medium: "warning", low: "note" };
+const CHECKSTYLE_SEVERITIES = { critical: "error", high: "error", medium: "warning", low: "info" };
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function hitMessage(hit) {
+  return `${hit.description}: "${hit.match}"`;
+}
+
+function aggregateScore(results) {
+  if (results.length === 0) return 100;
+  return Math.round(results.reduce((sum, r) => sum + r.score, 0) / results.length);
+}
+
+function formatJson(results, multi) {
+  if (!multi) return JSON.stringify(results[0], null, 2);
+  return JSON.stringify({ score: aggregateScore(results), files: results }, null, 2);
+}
+
+function formatSarif(results, lintRules = LINT_RULES) {
+  const rules = lintRules.map((rule) => ({
+    id: rule.id,
+    name: rule.id,
+    shortDescription: { text: rule.description },
+    defaultConfiguration: { level: SARIF_LEVELS[rule.severity] || "warning" },
+    properties: { category: rule.category, severity: rule.severity },
+  }));
+  const ruleIndex = new Map(rules.map((r, idx) => [r.id, idx]));
+
+  const sarifResults = [];
+  results.forEach(({ file, hits }) => {
+    hits.forEach((hit) => {
+      sarifResults.push({
+        ruleId: hit.rule,
+        ruleIndex: ruleIndex.get(hit.rule),
+        level: SARIF_LEVELS[hit.severity] || "warning",
+        message: { text: hitMessage(hit) },
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation: { uri: file.split(path.sep).join("/") },
+              region: {
+                startLine: hit.line,
+                startColumn: hit.column,
+                endLine: hit.endLine,
+                endColumn: hit.endColumn,
+                snippet: { text: hit.excerpt },
+              },
+            },
+          },
+        ],
+      });
+    });
+  });
+
+  return JSON.stringify(
+    {
+      $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+      version: "2.1.0",
+      runs: [
+        {
+          tool: { driver: { name: "ai-writer", rules } },
+          results: sarifResults,
+        },
+      ],
+    },
+    null,
+    2
+  );
+}
+
+function formatCheckstyle(results) {
+  const out = ['<?xml version="1.0" encoding="UTF-8"?>', '<checkstyle version="4.3">'];
+  results.forEach(({ file, hits }) => {
+    out.push(`  <file name="${escapeXml(file)}">`);
+    hits.forEach((hit) => {
+      const severity = CHECKSTYLE_SEVERITIES[hit.severity] || "warning";
+      out.push(
+        `    <error line="${hit.line}" column="${hit.column}" severity="${severity}" ` +
+          `message="${escapeXml(hitMessage(hit))}" source="ai-writer.${hit.rule}"/>`
+      );
+    });
+    out.push("  </file>");
+  });
+  out.push("</checkstyle>");
+  return out.join("\n");
+}
+
+function formatReport(results, format, { multi = false, rules = LINT_RULES } = {}) {
+  if (format === "json") return formatJson(results, multi);
+  if (format === "sarif") return formatSarif(results, rules);
+  if (format === "checkstyle") return formatCheckstyle(results);
+  throw new Error(`Unknown report format: ${format}`);
+}
+
+
+module.exports = {
+  DEFAULT_MODEL,
+  MAX_LOOPS_DEFAULT,
+  // Rules
+  RULES_SPEC,
+  LINT_RULES,
+  SEVERITIES,
+  buildRegexRules,
+  resolveWordLists,
+  // Linting and fixing
+  lint,
+  fixText,
+  maskMarkdown,
+  // Scoring
+  SCORING_DEFAULTS,
+  scoreHits,
+  failedThresholds,
+  // Rule tests
+  testRules,
+  loadFixtures,
+  // Config
+  findConfigFile,
+  loadConfig,
+  validateConfig,
+  // Model pipeline
+  generateText,
+  rewriteText,
+  runRepairLoop,
+  compareStructure,
+  verifyMeaning,
+  describeDiscrepancy,
+  splitChunks,
+  estimateTokens,
+  // Diff and review
+  diffSequences,
+  diffWords,
+  formatUnifiedDiff,
+  formatWordDiff,
+  resolvedHits,
+  buildReview,
+  applyReview,
+  getSystemPrompt,
+  chat,
+  // Providers
+  PROVIDERS,
+  createProvider,
+  recordResponses,
+  cacheResponses,
+  clearCache,
+  defaultCacheDir,
+  // Errors
+  ProviderError,
+  AuthError,
+  QuotaError,
+  ContextLengthError,
+  TimeoutError,
+  RetryError,
+  // Usage
+  PRICES,
+  createUsageTracker,
+  // Files and reports
+  collectFiles,
+  isGlob,
+  // Baseline
+  fingerprintHit,
+  createBaseline,
+  applyBaseline,
+  pruneBaseline,
+  loadBaseline,
+  mapLimit,
+  REPORT_FORMATS,
+  aggregateScore,
+  formatReport,
+};
@@ -0,0 +1,482 @@
+/**
+ * AI Humanizer - Language Server Protocol server
+ *
+ * Lints open Markdown and text documents as they change and publishes the
+ * hits as diagnostics, so writers see banned words in the editor instead of
+ * in CI. Started by the CLI:
+ *
+ *   node ai-writer.js lsp
+ *
+ * Speaks JSON-RPC over stdio with no dependencies beyond index.js. Each
+ * document uses the project config nearest to it, suppression comments
+ * included. Code actions apply the mechanical fixes from fixText(), add a
+ * suppression comment, or ask the model to rewrite the paragraph.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const { fileURLToPath } = require("url");
+const {
+  LINT_RULES,
+  buildRegexRules,
+  lint,
+  fixText,
+  maskMarkdown,
+  findConfigFile,
+  loadConfig,
+  rewriteText,
+  describeDiscrepancy,
+} = require("./index");
+
+const SOURCE = "ai-writer";
+const LANGUAGES = ["markdown", "mdx", "plaintext", "text"];
+const LINT_DELAY_MS = 200;
+const REWRITE_COMMAND = "ai-writer.rewriteParagraph";
+const UNUSED_SUPPRESSION = "unused_suppression";
+
+// Protocol constants
+const DIAGNOSTIC_SEVERITIES = { critical: 1, high: 1, medium: 2, low: 3 }; // same split as SARIF levels
+const HINT = 4;
+const UNNECESSARY = 1;
+const MESSAGE_TYPES = { error: 1, warning: 2, info: 3, log: 4 };
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+const PARSE_ERROR = -32700;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+
+// =============================================================================
+// TRANSPORT
+// =============================================================================
+
+// JSON-RPC messages framed by a Content-Length header
+function createConnection(input, output, onMessage) {
+  let buffer = Buffer.alloc(0);
+
+  const send = (message) => {
+    const body = Buffer.from(JSON.stringify({ jsonrpc: "2.0", ...message }), "utf8");
+    output.write(`Content-Length: ${body.length}\r\n\r\n`);
+    output.write(body);
+  };
+
+  input.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      const headerEnd = buffer.indexOf("\r\n\r\n");
+      if (headerEnd === -1) return;
+      const start = headerEnd + 4;
+      const length = Number(/Content-Length:\s*(\d+)/i.exec(buffer.subarray(0, headerEnd).toString("ascii"))?.[1]);
+      // A header without a length can't be framed; skip it
+      if (Number.isNaN(length)) {
+        buffer = buffer.subarray(start);
+        continue;
+      }
+      if (buffer.length < start + length) return;
+      const body = buffer.subarray(start, start + length).toString("utf8");
+      buffer = buffer.subarray(start + length);
+
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (err) {
+        send({ id: null, error: { code: PARSE_ERROR, message: err.message } });
+        continue;
+      }
+      onMessage(message);
+    }
+  });
+
+  return { send };
+}
+
+// =============================================================================
+// DOCUMENTS
+// =============================================================================
+
+function toRange(line, column, endLine, endColumn) {
+  return { start: { line: line - 1, character: column - 1 }, end: { line: endLine - 1, character: endColumn - 1 } };
+}
+
+function hitDiagnostic(hit) {
+  return {
+    range: toRange(hit.line, hit.column, hit.endLine, hit.endColumn),
+    severity: DIAGNOSTIC_SEVERITIES[hit.severity] || 2,
+    code: hit.rule,
+    source: SOURCE,
+    message: `${hit.description}: "${hit.match}"`,
+  };
+}
+
+// Covers the whole <!-- ... --> comment so the editor can fade it out
+function suppressionDiagnostic(s, lines) {
+  const line = lines[s.line - 1] || "";
+  const close = line.indexOf("-->", s.column - 1);
+  const endColumn = close === -1 ? line.length + 1 : close + 4;
+  return {
+    range: toRange(s.line, s.column, s.line, endColumn),
+    severity: HINT,
+    tags: [UNNECESSARY],
+    code: UNUSED_SUPPRESSION,
+    source: SOURCE,
+    message: `Unused ${s.directive}${s.rule ? ` ${s.rule}` : ""}: nothing here is reported`,
+  };
+}
+
+// One edit replacing the lines that differ between two versions of a text
+function lineEdit(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  let start = 0;
+  while (start < a.length - 1 && start < b.length - 1 && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start + 1 && endB > start + 1 && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  // The last line has no newline to replace, so the edit stops at its end
+  const last = endA === a.length;
+  return {
+    range: {
+      start: { line: start, character: 0 },
+      end: last ? { line: a.length - 1, character: a[a.length - 1].length } : { line: endA, character: 0 },
+    },
+    newText: b.slice(start, endB).join("\n") + (last ? "" : "\n"),
+  };
+}
+
+// The run of non-blank prose lines around `lineIdx`, or null in code or on a blank line
+function paragraphAt(text, lineIdx) {
+  const lines = text.split(/\r?\n/);
+  const { blocks } = maskMarkdown(text);
+  const prose = (idx) => lines[idx] !== undefined && lines[idx].trim() !== "" && blocks[idx] !== "code" && blocks[idx] !== "frontmatter";
+  if (!prose(lineIdx)) return null;
+  let start = lineIdx;
+  let end = lineIdx;
+  while (prose(start - 1)) start--;
+  while (prose(end + 1)) end++;
+  return { start, end, lines: lines.slice(start, end + 1) };
+}
+
+// Whether `line` already has a disable-line comment covering `rule`
+function disablesLine(line, rule) {
+  return [...line.matchAll(/<!--\s*ai-writer-disable-line\b([\s\S]*?)-->/g)].some((m) => {
+    const ids = m[1].split(/[\s,]+/).filter(Boolean);
+    return ids.length === 0 || ids.includes(rule);
+  });
+}
+
+function describeFix(fix) {
+  return fix.to ? `Replace "${fix.from}" with "${fix.to}"` : `Remove "${fix.from}"`;
+}
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+// Runs until the client sends `exit`; resolves to the exit code the protocol
+// asks for (0 after a `shutdown` request, 1 otherwise).
+//
+// `modelOptions(config, configFile)` returns the provider, model and other
+// rewriteText() options for a document's config; the CLI builds them from
+// its flags.
+function startLspServer(options = {}) {
+  const {
+    input = process.stdin,
+    output = process.stdout,
+    markdown = true,
+    configFile: fixedConfigFile = null,
+    modelOptions = () => ({}),
+  } = options;
+
+  const documents = new Map(); // uri -> { uri, text, version }
+  const timers = new Map();
+  const configs = new Map(); // config file -> { mtimeMs, config, rules }
+  const pending = new Map(); // our request id -> callback
+  let nextId = 1;
+  let root = process.cwd();
+  let shuttingDown = false;
+
+  return new Promise((resolve) => {
+    const { send } = createConnection(input, output, (message) => handle(message));
+    const notify = (method, params) => send({ method, params });
+    const request = (method, params) =>
+      new Promise((done) => {
+        const id = nextId++;
+        pending.set(id, done);
+        send({ id, method, params });
+      });
+    const log = (message, type = "log") => notify("window/logMessage", { type: MESSAGE_TYPES[type], message });
+    const show = (message, type = "info") => notify("window/showMessage", { type: MESSAGE_TYPES[type], message });
+
+    // ---------- Config ----------
+
+    // Reloaded when the file's mtime changes; a broken config is reported
+    // once and the built-in rules are used until it is fixed
+    function settingsFor(uri) {
+      const filePath = uri.startsWith("file:") ? fileURLToPath(uri) : null;
+      const configFile = fixedConfigFile || findConfigFile(filePath ? path.dirname(filePath) : root);
+      if (!configFile || !fs.existsSync(configFile)) return { config: {}, configFile: null, rules: LINT_RULES };
+
+      const { mtimeMs } = fs.statSync(configFile);
+      const cached = configs.get(configFile);
+      if (cached && cached.mtimeMs === mtimeMs) return cached;
+
+      let settings;
+      try {
+        delete require.cache[configFile];
+        const config = loadConfig(configFile);
+        settings = { mtimeMs, config, configFile, rules: buildRegexRules(config) };
+      } catch (err) {
+        show(err.message, "error");
+        settings = { mtimeMs, config: {}, configFile, rules: LINT_RULES };
+      }
+      configs.set(configFile, settings);
+      return settings;
+    }
+
+    // ---------- Diagnostics ----------
+
+    function publish(uri) {
+      const doc = documents.get(uri);
+      if (!doc) return;
+      const { rules } = settingsFor(uri);
+      const { hits, unusedSuppressions } = lint(doc.text, { markdown, rules });
+      const lines = doc.text.split(/\r?\n/);
+      notify("textDocument/publishDiagnostics", {
+        uri,
+        version: doc.version,
+        diagnostics: hits.map(hitDiagnostic).concat(unusedSuppressions.map((s) => suppressionDiagnostic(s, lines))),
+      });
+    }
+
+    function schedule(uri) {
+      clearTimeout(timers.get(uri));
+      timers.set(
+        uri,
+        setTimeout(() => {
+          timers.delete(uri);
+          publish(uri);
+        }, LINT_DELAY_MS)
+      );
+    }
+
+    const publishAll = () => documents.forEach((doc) => publish(doc.uri));
+
+    // ---------- Code actions ----------
+
+    function codeActions({ textDocument, range, context = {} }) {
+      const doc = documents.get(textDocument.uri);
+      if (!doc) return [];
+      const { uri } = doc;
+      const { rules } = settingsFor(uri);
+      const wanted = (kind) => !context.only || context.only.some((only) => kind === only || kind.startsWith(`${only}.`));
+      const lines = doc.text.split(/\r?\n/);
+      const actions = [];
+      // One disable action per line and rule, covering all of its diagnostics
+      const disables = new Map();
+
+      (context.diagnostics || [])
+        .filter((d) => d.source === SOURCE && d.code !== UNUSED_SUPPRESSION)
+        .forEach((d) => {
+          const line = d.range.start.line + 1;
+          const column = d.range.start.character + 1;
+          if (wanted("quickfix")) {
+            const fixed = fixText(doc.text, {
+              markdown,
+              rules,
+              filter: (hit) => hit.rule === d.code && hit.line === line && hit.column === column,
+            });
+            if (fixed.fixes.length > 0) {
+              actions.push({
+                title: describeFix(fixed.fixes[0]),
+                kind: "quickfix",
+                diagnostics: [d],
+                isPreferred: true,
+                edit: { changes: { [uri]: [lineEdit(doc.text, fixed.text)] } },
+              });
+            }
+          }
+          const key = `${line}:${d.code}`;
+          if (wanted("quickfix") && markdown && disables.has(key)) {
+            disables.get(key).diagnostics.push(d);
+          } else if (wanted("quickfix") && markdown && !disablesLine(lines[line - 1] || "", d.code)) {
+            const end = { line: line - 1, character: (lines[line - 1] || "").length };
+            const action = {
+              title: `Disable ${d.code} for this line`,
+              kind: "quickfix",
+              diagnostics: [d],
+              edit: { changes: { [uri]: [{ range: { start: end, end }, newText: ` <!-- ai-writer-disable-line ${d.code} -->` }] } },
+            };
+            disables.set(key, action);
+            actions.push(action);
+          }
+        });
+
+      const paragraph = paragraphAt(doc.text, range.start.line);
+      if (paragraph && wanted("refactor.rewrite")) {
+        const title = "Rewrite this paragraph with the model";
+        actions.push({
+          title,
+          kind: "refactor.rewrite",
+          command: { title, command: REWRITE_COMMAND, arguments: [uri, doc.version, range.start.line] },
+        });
+      }
+
+      if (wanted("source.fixAll.ai-writer")) {
+        const fixed = fixText(doc.text, { markdown, rules });
+        if (fixed.fixes.length > 0) {
+          actions.push({
+            title: `Fix ${fixed.fixes.length} mechanical ai-writer issue(s)`,
+            kind: "source.fixAll.ai-writer",
+            edit: { changes: { [uri]: [lineEdit(doc.text, fixed.text)] } },
+          });
+        }
+      }
+      return actions;
+    }
+
+    // Sends the paragraph to the model and applies the result as an edit,
+    // unless the document changed in the meantime
+    async function rewriteParagraph(uri, version, lineIdx) {
+      const doc = documents.get(uri);
+      if (!doc || doc.version !== version) {
+        show("The document changed since the action was offered; try again", "warning");
+        return null;
+      }
+      const paragraph = paragraphAt(doc.text, lineIdx);
+      if (!paragraph) return null;
+
+      const { config, configFile, rules } = settingsFor(uri);
+      const eol = doc.text.includes("\r\n") ? "\r\n" : "\n";
+      const original = paragraph.lines.join("\n");
+      log(`Rewriting lines ${paragraph.start + 1}-${paragraph.end + 1} of ${uri}`);
+
+      let result;
+      try {
+        result = await rewriteText(original, {
+          ...modelOptions(config, configFile),
+          markdown,
+          rules,
+          config,
+          chunkTokens: 0,
+          onProgress: (event) => log(event.message.trim()),
+        });
+      } catch (err) {
+        show(`Rewrite failed: ${err.message}`, "error");
+        return null;
+      }
+
+      if (documents.get(uri)?.version !== version) {
+        show("The document changed during the rewrite; nothing was applied", "warning");
+        return null;
+      }
+      if (result.text === original) {
+        show("The model left the paragraph as it was");
+        return null;
+      }
+
+      const range = {
+        start: { line: paragraph.start, character: 0 },
+        end: { line: paragraph.end, character: paragraph.lines[paragraph.lines.length - 1].length },
+      };
+      const { applied } = await request("workspace/applyEdit", {
+        label: "Rewrite paragraph",
+        edit: { changes: { [uri]: [{ range, newText: result.text.replace(/\r?\n/g, eol) }] } },
+      }).then((response) => response.result || {});
+      if (applied && result.meaning.length > 0) {
+        show(`Check the rewrite: ${result.meaning.map(describeDiscrepancy).join("; ")}`, "warning");
+      }
+      return null;
+    }
+
+    // ---------- Dispatch ----------
+
+    const handlers = {
+      initialize(params) {
+        if (params.rootUri) root = fileURLToPath(params.rootUri);
+        else if (params.rootPath) root = params.rootPath;
+        return {
+          capabilities: {
+            textDocumentSync: { openClose: true, change: TEXT_DOCUMENT_SYNC_FULL, save: true },
+            codeActionProvider: { codeActionKinds: ["quickfix", "refactor.rewrite", "source.fixAll.ai-writer"] },
+            executeCommandProvider: { commands: [REWRITE_COMMAND] },
+          },
+          serverInfo: { name: SOURCE },
+        };
+      },
+      initialized() {},
+      shutdown() {
+        shuttingDown = true;
+        return null;
+      },
+      exit() {
+        timers.forEach((timer) => clearTimeout(timer));
+        resolve(shuttingDown ? 0 : 1);
+      },
+      "textDocument/didOpen"({ textDocument }) {
+        if (!LANGUAGES.includes(textDocument.languageId)) return;
+        documents.set(textDocument.uri, { uri: textDocument.uri, text: textDocument.text, version: textDocument.version });
+        publish(textDocument.uri);
+      },
+      "textDocument/didChange"({ textDocument, contentChanges }) {
+        const doc = documents.get(textDocument.uri);
+        if (!doc || contentChanges.length === 0) return;
+        // Full sync: every change carries the whole text
+        doc.text = contentChanges[contentChanges.length - 1].text;
+        doc.version = textDocument.version;
+        schedule(doc.uri);
+      },
+      "textDocument/didSave"({ textDocument }) {
+        // Saving a config file that is open in the editor relints everything
+        if (textDocument.uri.startsWith("file:") && configs.has(fileURLToPath(textDocument.uri))) publishAll();
+      },
+      "textDocument/didClose"({ textDocument }) {
+        if (!documents.delete(textDocument.uri)) return;
+        clearTimeout(timers.get(textDocument.uri));
+        timers.delete(textDocument.uri);
+        notify("textDocument/publishDiagnostics", { uri: textDocument.uri, diagnostics: [] });
+      },
+      "workspace/didChangeWatchedFiles": publishAll,
+      "workspace/didChangeConfiguration": publishAll,
+      "textDocument/codeAction": codeActions,
+      "workspace/executeCommand"({ command, arguments: args = [] }) {
+        if (command !== REWRITE_COMMAND) throw new Error(`Unknown command: ${command}`);
+        return rewriteParagraph(...args);
+      },
+    };
+
+    function handle(message) {
+      // A response to one of our requests
+      if (message.method === undefined) {
+        const done = pending.get(message.id);
+        pending.delete(message.id);
+        if (done) done(message);
+        return;
+      }
+
+      const isRequest = message.id !== undefined;
+      const handler = handlers[message.method];
+      if (!handler) {
+        // Unknown notifications ($/cancelRequest, $/setTrace, ...) are ignored
+        if (isRequest) send({ id: message.id, error: { code: METHOD_NOT_FOUND, message: `Unhandled method ${message.method}` } });
+        return;
+      }
+      Promise.resolve()
+        .then(() => handler(message.params || {}))
+        .then(
+          (result) => {
+            if (isRequest) send({ id: message.id, result: result ?? null });
+          },
+          (err) => {
+            if (isRequest) send({ id: message.id, error: { code: INTERNAL_ERROR, message: err.message } });
+            else log(err.message, "error");
+          }
+        );
+    }
+
+    // A client that goes away without `exit` ends the server too
+    input.on("end", () => resolve(shuttingDown ? 0 : 1));
+  });
+}
+
+module.exports = { startLspServer };